@@ -1,177 +1,177 @@
-import { DateTime } from 'https://cdn.jsdelivr.net/npm/luxon@3/build/es6/luxon.js';
+import { DateTime, FixedOffsetZone } from 'https://cdn.jsdelivr.net/npm/luxon@3/build/es6/luxon.js';
+import { createPeopleStore } from './people-store.js';
+import {
+  DEFAULT_CONFIDENCE_WEIGHTS, RANGE_TYPES, formatMinutesDuration, getZoneOffsetMinutes, calculateSummarySlots,
+  getRuleRanges, getRulePreferredRanges, buildAvailabilityRule, isPersonEverAvailable,
+  getAvailabilityStatusAtLocalTimeDetailed, isPersonAvailableAt, scoreAttendance,
+  describeMeetingAttendance, getZoneWallClockUtc
+} from './scheduler.js';
+import { SAVE_FORMAT_VERSION, EMBED_GRID_COLUMNS, EMBED_MAX_ROWS, SaveFormatError, readSaveData, readWorkspaceSave } from './save-format.js';
+import { SHARE_FRAGMENT_PREFIX, buildSharedRoster, encodeShareFragment, decodeShareFragment } from './share-link.js';
+import { MERGED_PERSON_KEYS, normalizeUsername, planRosterMerge, makeUniqueUsername } from './roster-merge.js';
+import { CSV_FIELDS, parseCsv, rosterToCsv, guessCsvMapping, csvRowToPerson, describeAvailableTimes } from './roster-csv.js';
+import { DEFAULT_EMBED_HOSTS, parseEmbedHosts, sanitizeEmbedHtml } from './embed-sanitizer.js';
 
 // Global variable to store the row being dragged
 let currentDraggedRow = null;
-let selectedPeopleFilter = new Map(); // Stores username => 'online' | 'offline'
+let selectedPeopleFilter = new Map(); // Stores person id => 'required' | 'optional' | 'excluded' (attendance role)
+let globalQuorumSize = 0; // "At least N people including all required"; 0 means no quorum
+let globalSelectedGroup = ''; // Tag picked in the group selector; '' means everyone
+let isReadOnlyView = false; // Opened from a share link: the table can't be edited and nothing is autosaved
+const peopleStore = createPeopleStore(); // The roster; the availability table is a view of it
+
+// Confidence that someone shows up when available with each type (editable in Settings, kept in localStorage)
+let confidenceWeights = { ...DEFAULT_CONFIDENCE_WEIGHTS };
+// Hosts whose iframes may be embedded (editable in Settings, kept in localStorage)
+let embedHosts = [...DEFAULT_EMBED_HOSTS];
+let embedWidgets = []; // Embed dashboard: [{ title, code, columns, rows }] in grid order, code sanitized
 
 // New globals for calendar & time-slots logic
 let globalAllTimeSlots = [];
-let globalSkippedPeople = [];
 let globalBaseUtcStartOfDay = DateTime.now().toUTC().startOf('day');
 let globalPeopleForCalculation = [];
 let globalSelectedTimeSlotIndex = -1; // New: to keep track of the currently selected time slot button
+let globalPlanningDays = 1; // Number of days covered by the planning range (From/To date pickers)
+let globalMeetingLengthMinutes = 1; // Minimum meeting length; 1 keeps the plain per-minute search
+let lastSummaryUtcMinute = null; // The clock only recomputes the summary when the UTC minute changes
+let globalHeatmapCells = []; // Per-cell data of the weekly heatmap, indexed like the rendered cells
+let globalHeatmapSelectedUtcTime = null; // Moment picked on the heatmap; overrides the slot time for the summary lists
+let summaryWorker = null; // Worker running the slot search; false once it turned out to be unavailable
+let summaryRequestCount = 0;
+let latestSummaryRequest = null; // { id, request, onResult } of the slot search still awaited; older results are stale
 
 let currentDisplayMode = 'optimal'; // 'optimal' or 'hourly'
 
 // New global: Determines whether the "Best Time for Collaboration" output shows UTC or local time
 let displayTimeInUtc = true; // true for UTC, false for viewer's local time
 
-// Function to parse HH:MM string to minutes from midnight
-function timeToMinutes(timeStr) {
-  if (!timeStr) return -1; // Indicate invalid time
-  const [hours, minutes] = timeStr.split(':').map(Number);
-  if (isNaN(hours) || isNaN(minutes)) return -1;
-  return hours * 60 + minutes;
-}
-
-// Function to format minutes duration to HHh MMm
-function formatMinutesDuration(totalMinutes) {
-  if (totalMinutes < 0) return 'N/A';
-  if (totalMinutes === 0) return '0m';
-  const hours = Math.floor(totalMinutes / 60);
-  const minutes = totalMinutes % 60;
-  let parts = [];
-  if (hours > 0) parts.push(`${hours}h`);
-  if (minutes > 0) parts.push(`${minutes}m`);
-  return parts.join(' ');
-}
-
-// NEW HELPER: Check if a person's availability rules ever allow them to be available
-function isPersonEverAvailable(availabilityRules) {
-    if (!availabilityRules || availabilityRules.type === 'n/a') {
-        return false;
-    }
-    if (availabilityRules.type === 'always') {
-        return true;
-    }
-    if (['specific', 'unpredictable', 'mostlyFree'].includes(availabilityRules.type)) {
-        // For these types, availability depends solely on whether a range is defined.
-        // A defined range means they *could* be available.
-        return !!availabilityRules.value;
-    }
-    if (availabilityRules.type === 'weekendWeekdays') {
-        const weekdaysEverAvailable = availabilityRules.weekdays && (
-            availabilityRules.weekdays.type === 'always' || 
-            (['specific', 'unpredictable', 'mostlyFree'].includes(availabilityRules.weekdays.type) && !!availabilityRules.weekdays.value)
-        );
-        const weekendsEverAvailable = availabilityRules.weekends && (
-            availabilityRules.weekends.type === 'always' || 
-            (['specific', 'unpredictable', 'mostlyFree'].includes(availabilityRules.weekends.type) && !!availabilityRules.weekends.value)
-        );
-        return weekdaysEverAvailable || weekendsEverAvailable;
-    }
-    if (availabilityRules.type === 'customDays') {
-        // For custom days, check if at least one day has rules that allow availability
-        return availabilityRules.dailyRanges && availabilityRules.dailyRanges.some(dayRule => 
-            dayRule.type === 'always' || (['specific', 'unpredictable', 'mostlyFree'].includes(dayRule.type) && !!dayRule.value)
-        );
-    }
-    return false; // Default for unknown types or no rules
+// Upper bound for the planning range, keeping the per-minute search responsive
+const MAX_PLANNING_DAYS = 14;
+
+// Fallback zone list for browsers without Intl.supportedValuesOf
+const FALLBACK_IANA_TIMEZONES = [
+  'Pacific/Honolulu', 'America/Anchorage', 'America/Los_Angeles', 'America/Denver', 'America/Chicago',
+  'America/New_York', 'America/Halifax', 'America/Sao_Paulo', 'Atlantic/Azores', 'Europe/London',
+  'Europe/Berlin', 'Europe/Helsinki', 'Europe/Moscow', 'Asia/Dubai', 'Asia/Karachi', 'Asia/Dhaka',
+  'Asia/Bangkok', 'Asia/Shanghai', 'Asia/Tokyo', 'Australia/Sydney', 'Pacific/Auckland'
+];
+
+// All selectable UTC offsets in minutes, including the half- and quarter-hour zones
+// (e.g. India +5:30, Nepal +5:45, Newfoundland -3:30, Adelaide +9:30)
+const UTC_OFFSET_MINUTES = [
+  -720, -660, -600, -570, -540, -480, -420, -360, -300, -240, -210, -180, -120, -60,
+  0, 60, 120, 180, 210, 240, 270, 300, 330, 345, 360, 390, 420, 480, 525, 540, 570,
+  600, 630, 660, 720, 765, 780, 825, 840
+];
+
+// Formats an offset in minutes as a label like 'UTC+5:30', 'UTC-3' or 'UTC±0'
+function formatUtcOffset(offsetMinutes) {
+  if (offsetMinutes === 0) return 'UTC±0';
+  const sign = offsetMinutes > 0 ? '+' : '-';
+  const hours = Math.floor(Math.abs(offsetMinutes) / 60);
+  const minutes = Math.abs(offsetMinutes) % 60;
+  return `UTC${sign}${hours}${minutes ? `:${String(minutes).padStart(2, '0')}` : ''}`;
 }
 
-// Helper to calculate time until the next available slot for a person
-function calculateTimeUntilNextAvailability(currentLocalMinutes, availableTimesStr) {
-    if (!availableTimesStr || availableTimesStr.length === 0) return null;
-
-    const [startTimeStr, endTimeStr] = availableTimesStr.split('-');
-    if (!startTimeStr || !endTimeStr) return null;
+// Parses a legacy offset value (5, '5.5', '+5:30', '-3:30') into minutes; NaN if unreadable
+function parseUtcOffsetMinutes(value) {
+  if (typeof value === 'number') return Math.round(value * 60);
+  const match = String(value).trim().match(/^([+-])?(\d{1,2})(?::(\d{2})|\.(\d+))?$/);
+  if (!match) return NaN;
+  const sign = match[1] === '-' ? -1 : 1;
+  const hours = parseInt(match[2], 10);
+  const minutes = match[3] !== undefined
+    ? parseInt(match[3], 10)
+    : (match[4] !== undefined ? Math.round(parseFloat(`0.${match[4]}`) * 60) : 0);
+  return sign * (hours * 60 + minutes);
+}
 
-    const startMinutes = timeToMinutes(startTimeStr);
-    const endMinutes = timeToMinutes(endTimeStr);
+// Returns the canonical fixed-offset zone name (e.g. 'UTC+5', 'UTC+5:45') for an offset in minutes
+function fixedOffsetZoneName(offsetMinutes) {
+  return FixedOffsetZone.instance(offsetMinutes).name;
+}
 
-    if (startMinutes === -1 || endMinutes === -1) return null;
+// Returns true if Luxon can resolve the given zone name (IANA or fixed offset)
+function isValidTimezone(zoneName) {
+  return !!zoneName && DateTime.now().setZone(zoneName).isValid;
+}
 
-    let timeUntilNext = 0;
+// Maps the legacy `utcOffset` (hours, possibly fractional) + `dst` checkbox onto a fixed-offset zone
+function legacyOffsetToTimezone(utcOffset, dst) {
+  const offsetMinutes = parseUtcOffsetMinutes(utcOffset);
+  if (isNaN(offsetMinutes)) return 'UTC';
+  return fixedOffsetZoneName(offsetMinutes + (dst ? 60 : 0));
+}
 
-    if (startMinutes <= endMinutes) { // Normal range (e.g., 09:00-17:00)
-        if (currentLocalMinutes < startMinutes) {
-            timeUntilNext = startMinutes - currentLocalMinutes;
-        } else { // Current time is after end or between start and end (but not available, so after end)
-            timeUntilNext = (1440 - currentLocalMinutes) + startMinutes; // Until tomorrow's start
-        }
-    } else { // Midnight crossing range (e.g., 23:00-02:00)
-        // If current time is between end and start (e.g., 02:30, range 23:00-02:00),
-        // next availability is startMinutes *today* (which means the start time that will come later today)
-        if (currentLocalMinutes >= endMinutes && currentLocalMinutes < startMinutes) {
-            timeUntilNext = startMinutes - currentLocalMinutes;
-        } else {
-            // Current time is past start and past end (e.g., 00:30, range 23:00-02:00)
-            // or Current time is just past the whole wrapped period (e.g., 03:00, range 23:00-02:00)
-            // In these cases, the next availability is the start time of the *next* day.
-            timeUntilNext = (1440 - currentLocalMinutes) + startMinutes;
-        }
-    }
+// Shifts a UTC DateTime into a zone's wall-clock time. The result stays in UTC so that
+// .hour/.minute/.weekday read the local values without further zone conversions.
+function toZoneWallTime(zoneName, utcDateTime) {
+  return utcDateTime.plus({ minutes: getZoneOffsetMinutes(zoneName, utcDateTime.toMillis()) });
+}
 
-    return formatMinutesDuration(timeUntilNext);
+// Local wall-clock time for a person at the given UTC DateTime
+function toPersonLocalTime(person, utcDateTime) {
+  return toZoneWallTime(person.timezone, utcDateTime);
 }
 
-// Helper to check if current time is within a given range
-function isTimeInRange(currentLocalMinutes, startTimeStr, endTimeStr) {
-  if (!startTimeStr || !endTimeStr) return false;
-  const startMinutes = timeToMinutes(startTimeStr);
-  const endMinutes = timeToMinutes(endTimeStr);
+// Builds (once) a template <select> listing fixed offsets and all IANA zones; rows clone it
+let timezoneSelectTemplate = null;
+function createTimezoneSelect(selectedZone) {
+  if (!timezoneSelectTemplate) {
+    timezoneSelectTemplate = document.createElement('select');
+    timezoneSelectTemplate.className = 'timezone-select';
+
+    const fixedGroup = document.createElement('optgroup');
+    fixedGroup.label = 'Fixed UTC Offsets';
+    UTC_OFFSET_MINUTES.forEach(offsetMinutes => {
+      const option = document.createElement('option');
+      option.value = fixedOffsetZoneName(offsetMinutes);
+      option.textContent = formatUtcOffset(offsetMinutes);
+      fixedGroup.appendChild(option);
+    });
+    timezoneSelectTemplate.appendChild(fixedGroup);
+
+    const ianaGroup = document.createElement('optgroup');
+    ianaGroup.label = 'Regions (automatic DST)';
+    const ianaZones = typeof Intl.supportedValuesOf === 'function'
+      ? Intl.supportedValuesOf('timeZone')
+      : FALLBACK_IANA_TIMEZONES;
+    ianaZones.forEach(zoneName => {
+      const option = document.createElement('option');
+      option.value = zoneName;
+      option.textContent = zoneName.replace(/_/g, ' ');
+      ianaGroup.appendChild(option);
+    });
+    timezoneSelectTemplate.appendChild(ianaGroup);
+  }
 
-  if (startMinutes === -1 || endMinutes === -1) return false;
+  const select = timezoneSelectTemplate.cloneNode(true);
+  setTimezoneSelectValue(select, selectedZone);
+  return select;
+}
 
-  if (startMinutes > endMinutes) { // Midnight crossing range (e.g., 23:00-02:00)
-    return currentLocalMinutes >= startMinutes || currentLocalMinutes < endMinutes;
-  } else { // Normal range (e.g., 09:00-17:00)
-    return currentLocalMinutes >= startMinutes && currentLocalMinutes < endMinutes;
+// Selects a zone in a timezone <select>, adding an option for zones missing from the list (e.g. aliases)
+function setTimezoneSelectValue(select, zoneName) {
+  const zone = isValidTimezone(zoneName) ? zoneName : 'UTC';
+  if (!Array.from(select.options).some(option => option.value === zone)) {
+    const option = document.createElement('option');
+    option.value = zone;
+    option.textContent = zone.replace(/_/g, ' ');
+    select.insertBefore(option, select.firstChild);
   }
+  select.value = zone;
 }
 
-// Function to process a single availability definition (type + range)
-// Returns { isAvailable: boolean, statusText: string, effectiveType: string }
-function processAvailability(currentLocalMinutes, type, range, currentDayType = '') {
-    let isCurrentlyAvailable = false;
-    let availabilityStatusText = '';
-    const rangeParts = range ? range.split('-') : [];
-    const startTimeStr = rangeParts[0] || '';
-    const endTimeStr = rangeParts[1] || '';
-    let effectiveType = type; // By default, effective type is the given type
-
-    switch (type) {
-        case 'n/a':
-            isCurrentlyAvailable = false;
-            availabilityStatusText = 'N/A';
-            break;
-        case 'always':
-            isCurrentlyAvailable = true;
-            availabilityStatusText = 'Always Available';
-            break;
-        case 'specific':
-        case 'unpredictable':
-        case 'mostlyFree':
-            if (range) {
-                isCurrentlyAvailable = isTimeInRange(currentLocalMinutes, startTimeStr, endTimeStr);
-                const prefix = type === 'unpredictable' ? 'Potentially' : (type === 'mostlyFree' ? 'Mostly' : '');
-
-                if (isCurrentlyAvailable) {
-                    const startMinutes = timeToMinutes(startTimeStr);
-                    const endMinutes = timeToMinutes(endTimeStr);
-                    let remaining = 0;
-                    if (startMinutes > endMinutes) {
-                        if (currentLocalMinutes >= startMinutes) {
-                            remaining = (1440 - currentLocalMinutes) + endMinutes;
-                        } else {
-                            remaining = endMinutes - currentLocalMinutes;
-                        }
-                    } else {
-                        remaining = endMinutes - currentLocalMinutes;
-                    }
-                    availabilityStatusText = `${prefix} Available${currentDayType ? ` (${currentDayType})` : ''} for ${formatMinutesDuration(remaining)}`;
-                } else {
-                    const timeUntilNext = calculateTimeUntilNextAvailability(currentLocalMinutes, range);
-                    availabilityStatusText = timeUntilNext ? `${prefix} Available${currentDayType ? ` (${currentDayType})` : ''} in ${timeUntilNext}` : `${prefix || 'Specific'} (No range set)`;
-                }
-            } else {
-                // No range provided for a range-based type
-                isCurrentlyAvailable = false;
-                availabilityStatusText = `${type === 'unpredictable' ? 'Unpredictable' : (type === 'mostlyFree' ? 'Mostly Free' : 'Specific')} (No range set)`;
-            }
-            break;
-    }
-    return { isAvailable: isCurrentlyAvailable, statusText: availabilityStatusText, effectiveType: effectiveType };
+// The viewer's chosen zone from the "Your Timezone" control
+function getViewerTimezone() {
+  return document.getElementById('viewer-timezone').value || 'UTC';
+}
+
+// Editors inside a table row announce clicks that change data (adding/removing ranges or exceptions)
+// with this bubbling event; typing and dropdowns already bubble as 'input'/'change'. The row then
+// copies its fields into the people store. Dispatch from an element that is still in the row.
+function notifyRowEdited(element) {
+    element.dispatchEvent(new CustomEvent('row-edited', { bubbles: true }));
 }
 
 // NEW HELPER FUNCTION for creating availability sections (select + time inputs)
@@ -205,51 +205,136 @@ function createAvailabilitySectionElements(defaultType = 'specific', defaultStar
     const timeInputsContainer = document.createElement('div');
     timeInputsContainer.className = 'time-inputs-container';
 
-    const inputStartTime = document.createElement('input');
-    inputStartTime.type = 'time';
-    inputStartTime.className = 'time-input';
+    // One row per HH:MM-HH:MM range, so split shifts (e.g. 07:00-08:30 and 19:00-23:00) fit in one section
+    const rangesList = document.createElement('div');
+    rangesList.className = 'time-ranges-list';
+    timeInputsContainer.appendChild(rangesList);
+
+    const addRangeBtn = document.createElement('button');
+    addRangeBtn.type = 'button';
+    addRangeBtn.className = 'add-time-range-btn';
+    addRangeBtn.textContent = '+ Range';
+    addRangeBtn.title = 'Add another time range';
+    timeInputsContainer.appendChild(addRangeBtn);
+    sectionContainer.appendChild(timeInputsContainer);
+
+    // Adds a start/end pair with its own remove button, plus an optional preferred sub-range
+    // (e.g. "18:00-02:00, rather 19:00-23:00") revealed by the ★ toggle
+    const addRangeRow = (start = '', end = '', preferredStart = '', preferredEnd = '') => {
+        const rangeRow = document.createElement('div');
+        rangeRow.className = 'time-range-row';
+
+        const inputStartTime = document.createElement('input');
+        inputStartTime.type = 'time';
+        inputStartTime.className = 'time-input range-start';
+        inputStartTime.value = start;
+
+        const inputEndTime = document.createElement('input');
+        inputEndTime.type = 'time';
+        inputEndTime.className = 'time-input range-end';
+        inputEndTime.value = end;
+
+        const removeRangeBtn = document.createElement('button');
+        removeRangeBtn.type = 'button';
+        removeRangeBtn.className = 'remove-time-range-btn';
+        removeRangeBtn.textContent = '✕';
+        removeRangeBtn.title = 'Remove this range';
+        removeRangeBtn.addEventListener('click', () => {
+            rangeRow.remove();
+            notifyRowEdited(rangesList);
+        });
+
+        const preferredToggleBtn = document.createElement('button');
+        preferredToggleBtn.type = 'button';
+        preferredToggleBtn.className = 'preferred-toggle-btn';
+        preferredToggleBtn.textContent = '★';
+        preferredToggleBtn.title = 'Set preferred hours within this range (the rest is only acceptable)';
 
-    const inputEndTime = document.createElement('input');
-    inputEndTime.type = 'time';
-    inputEndTime.className = 'time-input';
+        const preferredRange = document.createElement('div');
+        preferredRange.className = 'preferred-range';
 
-    timeInputsContainer.appendChild(inputStartTime);
-    timeInputsContainer.appendChild(document.createTextNode(' - '));
-    timeInputsContainer.appendChild(inputEndTime);
-    sectionContainer.appendChild(timeInputsContainer);
+        const inputPreferredStart = document.createElement('input');
+        inputPreferredStart.type = 'time';
+        inputPreferredStart.className = 'time-input preferred-start';
+        inputPreferredStart.value = preferredStart;
+
+        const inputPreferredEnd = document.createElement('input');
+        inputPreferredEnd.type = 'time';
+        inputPreferredEnd.className = 'time-input preferred-end';
+        inputPreferredEnd.value = preferredEnd;
+
+        const setPreferredVisible = (visible) => {
+            preferredRange.style.display = visible ? 'flex' : 'none';
+            preferredToggleBtn.classList.toggle('active', visible);
+        };
+        setPreferredVisible(!!(preferredStart && preferredEnd));
+
+        preferredToggleBtn.addEventListener('click', () => {
+            const show = preferredRange.style.display === 'none';
+            if (show) {
+                // Start from the whole range so only the edges need adjusting
+                inputPreferredStart.value = inputPreferredStart.value || inputStartTime.value;
+                inputPreferredEnd.value = inputPreferredEnd.value || inputEndTime.value;
+            } else {
+                inputPreferredStart.value = '';
+                inputPreferredEnd.value = '';
+            }
+            setPreferredVisible(show);
+            notifyRowEdited(rangeRow);
+        });
+
+        preferredRange.appendChild(document.createTextNode('Preferred: '));
+        preferredRange.appendChild(inputPreferredStart);
+        preferredRange.appendChild(document.createTextNode(' - '));
+        preferredRange.appendChild(inputPreferredEnd);
+
+        rangeRow.appendChild(inputStartTime);
+        rangeRow.appendChild(document.createTextNode(' - '));
+        rangeRow.appendChild(inputEndTime);
+        rangeRow.appendChild(preferredToggleBtn);
+        rangeRow.appendChild(removeRangeBtn);
+        rangeRow.appendChild(preferredRange);
+        rangesList.appendChild(rangeRow);
+        return rangeRow;
+    };
+
+    // Replaces all range rows with the given 'HH:MM-HH:MM' strings and their preferred sub-ranges
+    const setRanges = (ranges, preferredRanges = []) => {
+        rangesList.innerHTML = '';
+        ranges.forEach((range, index) => {
+            const [start, end] = range.split('-');
+            const [preferredStart, preferredEnd] = (preferredRanges[index] || '').split('-');
+            addRangeRow(start || '', end || '', preferredStart || '', preferredEnd || '');
+        });
+    };
 
     // Initial values
     selectAvailType.value = defaultType;
-    inputStartTime.value = defaultStart;
-    inputEndTime.value = defaultEnd;
+    setRanges([`${defaultStart}-${defaultEnd}`]);
 
-    // Store default values for potential later reset when switching types
-    inputStartTime.defaultValue = defaultStart;
-    inputEndTime.defaultValue = defaultEnd;
+    addRangeBtn.addEventListener('click', (e) => {
+        e.preventDefault(); // Prevent form submission
+        addRangeRow();
+        notifyRowEdited(rangesList);
+    });
 
     // Function to control visibility of time inputs based on selected type
     const updateSectionVisibility = () => {
         const currentType = selectAvailType.value;
-        if (currentType === 'specific' || currentType === 'unpredictable' || currentType === 'mostlyFree') {
+        if (RANGE_TYPES.includes(currentType)) {
             timeInputsContainer.style.display = 'flex';
-            // Only set default values if they are empty and it's a range type
-            if (!inputStartTime.value && inputStartTime.defaultValue) inputStartTime.value = inputStartTime.defaultValue;
-            if (!inputEndTime.value && inputEndTime.defaultValue) inputEndTime.value = inputEndTime.defaultValue;
+            // Only restore the default range if no range is left and it's a range type
+            if (rangesList.children.length === 0) setRanges([`${defaultStart}-${defaultEnd}`]);
         } else {
             timeInputsContainer.style.display = 'none';
-            // Clear values when hidden for non-range types
-            inputStartTime.value = '';
-            inputEndTime.value = '';
+            // Clear ranges when hidden for non-range types
+            rangesList.innerHTML = '';
         }
-        updateAvailabilitySummary(); // Always call global summary update
+        notifyRowEdited(timeInputsContainer); // Ranges may have been cleared or restored
     };
     
     // Attach event listeners
     selectAvailType.addEventListener('change', updateSectionVisibility);
-    inputStartTime.addEventListener('input', updateAvailabilitySummary);
-    inputStartTime.addEventListener('blur', updateAvailabilitySummary);
-    inputEndTime.addEventListener('input', updateAvailabilitySummary);
-    inputEndTime.addEventListener('blur', updateAvailabilitySummary);
 
     // Initial visibility setup
     updateSectionVisibility();
@@ -258,12 +343,114 @@ function createAvailabilitySectionElements(defaultType = 'specific', defaultStar
     return { 
         container: sectionContainer, 
         select: selectAvailType, 
-        startTimeInput: inputStartTime, 
-        endTimeInput: inputEndTime, 
+        setRanges: setRanges,
+        defaultRange: `${defaultStart}-${defaultEnd}`,
         updateVisibility: updateSectionVisibility 
     };
 }
 
+// Reads the rule ({ type, value, ranges, preferredRanges? }) currently entered in an availability section element
+function readAvailabilitySection(sectionElement) {
+    const typeSelect = sectionElement.querySelector('.availability-type-select');
+    const ranges = [];
+    const preferredRanges = [];
+    sectionElement.querySelectorAll('.time-range-row').forEach(rangeRow => {
+        const start = rangeRow.querySelector('.range-start').value;
+        const end = rangeRow.querySelector('.range-end').value;
+        if (!start || !end) return;
+        const preferredStart = rangeRow.querySelector('.preferred-start').value;
+        const preferredEnd = rangeRow.querySelector('.preferred-end').value;
+        ranges.push(`${start}-${end}`);
+        preferredRanges.push(preferredStart && preferredEnd ? `${preferredStart}-${preferredEnd}` : '');
+    });
+    return buildAvailabilityRule(typeSelect.value, ranges, preferredRanges);
+}
+
+// Builds the per-row editor for dated exceptions (vacations, one-off free days, different hours on a date)
+function createExceptionsEditor(exceptionsData = []) {
+    const editor = document.createElement('details');
+    editor.className = 'exceptions-editor';
+
+    const summary = document.createElement('summary');
+    const countSpan = document.createElement('span');
+    countSpan.className = 'exceptions-count';
+    summary.append('Exceptions (', countSpan, ')');
+    editor.appendChild(summary);
+
+    const exceptionsList = document.createElement('div');
+    exceptionsList.className = 'exceptions-list';
+    editor.appendChild(exceptionsList);
+
+    const updateCount = () => {
+        countSpan.textContent = exceptionsList.children.length;
+    };
+
+    // Adds one exception entry: label, date range and the availability that applies on those dates
+    const addExceptionItem = (exception = {}) => {
+        const item = document.createElement('div');
+        item.className = 'exception-item';
+
+        const labelInput = document.createElement('input');
+        labelInput.type = 'text';
+        labelInput.className = 'exception-label';
+        labelInput.placeholder = 'Label (e.g. Holiday)';
+        labelInput.value = exception.label || '';
+        item.appendChild(labelInput);
+
+        const datesContainer = document.createElement('div');
+        datesContainer.className = 'exception-dates';
+        const startInput = document.createElement('input');
+        startInput.type = 'date';
+        startInput.className = 'exception-start';
+        startInput.title = 'First day (in the person\'s timezone)';
+        startInput.value = exception.startDate || document.getElementById('selected-date').value;
+        const endInput = document.createElement('input');
+        endInput.type = 'date';
+        endInput.className = 'exception-end';
+        endInput.title = 'Last day (leave empty for a single day)';
+        endInput.value = exception.endDate && exception.endDate !== exception.startDate ? exception.endDate : '';
+        datesContainer.append(startInput, ' – ', endInput);
+        item.appendChild(datesContainer);
+
+        // Defaults to "N/A" so a new exception reads as "away on this date"
+        const section = createAvailabilitySectionElements(exception.type || 'n/a', '09:00', '17:00');
+        const ranges = getRuleRanges(exception);
+        if (ranges.length > 0) section.setRanges(ranges, getRulePreferredRanges(exception));
+        section.updateVisibility();
+        item.appendChild(section.container);
+
+        const removeBtn = document.createElement('button');
+        removeBtn.type = 'button';
+        removeBtn.className = 'remove-exception-btn';
+        removeBtn.textContent = 'Remove';
+        removeBtn.addEventListener('click', () => {
+            item.remove();
+            updateCount();
+            notifyRowEdited(exceptionsList);
+        });
+        item.appendChild(removeBtn);
+
+        exceptionsList.appendChild(item);
+        updateCount();
+    };
+
+    const addExceptionBtn = document.createElement('button');
+    addExceptionBtn.type = 'button';
+    addExceptionBtn.className = 'add-exception-btn';
+    addExceptionBtn.textContent = '+ Exception';
+    addExceptionBtn.addEventListener('click', (e) => {
+        e.preventDefault(); // Prevent form submission
+        addExceptionItem();
+        editor.open = true;
+        notifyRowEdited(editor);
+    });
+    editor.appendChild(addExceptionBtn);
+
+    exceptionsData.forEach(exception => addExceptionItem(exception));
+    updateCount();
+    return editor;
+}
+
 // NEW HELPER: Debounce function
 function debounce(func, delay) {
     let timeout;
@@ -279,13 +466,12 @@ function populatePeopleFilter() {
     const checkboxContainer = document.getElementById('people-filter-checkboxes');
     checkboxContainer.innerHTML = ''; // Clear existing options
 
-    const rows = Array.from(document.querySelectorAll('#availability-table tbody tr'));
+    populateGroupSelector(); // Tags may have changed along with the people
+    const people = peopleStore.getAll();
     
-    rows.forEach(tr => {
-        const usernameInput = tr.cells[1].querySelector('input');
-        const username = usernameInput ? usernameInput.value.trim() : '';
-        const iconImgEl = tr.cells[0].querySelector('img.icon-preview');
-        const iconSrc = iconImgEl && iconImgEl.style.display !== 'none' ? iconImgEl.src : '';
+    people.filter(isPersonInSelectedGroup).forEach(person => {
+        const username = (person.username || '').trim();
+        const iconSrc = person.iconSrc || '';
 
         if (username) {
             const label = document.createElement('label');
@@ -306,49 +492,36 @@ function populatePeopleFilter() {
             statusBtn.className = 'filter-status-btn';
             statusBtn.type = 'button'; // Prevent default form submission
 
-            const currentState = selectedPeopleFilter.get(username) || 'none';
-            statusBtn.classList.add(currentState);
-            statusBtn.textContent = currentState === 'online' ? '✓' : (currentState === 'offline' ? '✕' : '');
-            
-            // Apply grayscale to icon based on initial state
+            // Show the attendance role on the button; excluded people get a greyed-out icon
             const iconElement = label.querySelector('.filter-icon');
-            if (iconElement) {
-                if (currentState === 'offline') {
-                    iconElement.classList.add('grayscale-icon');
-                } else {
-                    iconElement.classList.remove('grayscale-icon');
+            const renderRole = (role) => {
+                statusBtn.classList.remove('required', 'optional', 'excluded');
+                statusBtn.classList.add(role);
+                statusBtn.textContent = role === 'required' ? '✓' : (role === 'excluded' ? '✕' : '');
+                statusBtn.title = role === 'required' ? 'Required' : (role === 'excluded' ? 'Excluded' : 'Optional');
+                if (iconElement) {
+                    iconElement.classList.toggle('grayscale-icon', role === 'excluded');
                 }
-            }
+            };
+            renderRole(getAttendanceRole(person.id));
 
             statusBtn.addEventListener('click', () => {
-                let newState;
-                switch (selectedPeopleFilter.get(username)) {
-                    case 'online':
-                        newState = 'offline';
+                // Cycle optional -> required -> excluded -> optional
+                let newRole;
+                switch (getAttendanceRole(person.id)) {
+                    case 'required':
+                        newRole = 'excluded';
                         break;
-                    case 'offline':
-                        newState = 'none';
+                    case 'excluded':
+                        newRole = 'optional';
                         break;
-                    case 'none': // Fallthrough or initial state
+                    case 'optional':
                     default:
-                        newState = 'online';
+                        newRole = 'required';
                         break;
                 }
-                selectedPeopleFilter.set(username, newState);
-                
-                // Update button visuals
-                statusBtn.classList.remove('online', 'offline', 'none');
-                statusBtn.classList.add(newState);
-                statusBtn.textContent = newState === 'online' ? '✓' : (newState === 'offline' ? '✕' : '');
-
-                // Update icon visuals
-                if (iconElement) {
-                    if (newState === 'offline') {
-                        iconElement.classList.add('grayscale-icon');
-                    } else {
-                        iconElement.classList.remove('grayscale-icon');
-                    }
-                }
+                selectedPeopleFilter.set(person.id, newRole);
+                renderRole(newRole);
 
                 updateAvailabilitySummary(); // Recalculate summary
             });
@@ -359,11 +532,11 @@ function populatePeopleFilter() {
         }
     });
 
-    // Remove any entries from selectedPeopleFilter map if the person no longer exists in the table
-    const currentTableUsernames = new Set(rows.map(tr => tr.cells[1].querySelector('input')?.value.trim()).filter(Boolean));
-    for (const [username] of selectedPeopleFilter) {
-        if (!currentTableUsernames.has(username)) {
-            selectedPeopleFilter.delete(username);
+    // Remove any entries from selectedPeopleFilter map if the person no longer exists in the roster
+    const currentPersonIds = new Set(people.filter(person => (person.username || '').trim()).map(person => person.id));
+    for (const [personId] of selectedPeopleFilter) {
+        if (!currentPersonIds.has(personId)) {
+            selectedPeopleFilter.delete(personId);
         }
     }
     
@@ -376,529 +549,199 @@ function updateClockAndZones() {
 
   const tbody = document.querySelector('#timezone-table tbody');
   tbody.innerHTML = '';
-  for (let offset = -12; offset <= 14; offset++) {
-    const label = offset === 0 ? 'UTC±0' : `UTC${offset > 0 ? '+' : ''}${offset}`;
-    const localTime = nowUtc.plus({ hours: offset });
+  UTC_OFFSET_MINUTES.forEach(offsetMinutes => {
+    const label = formatUtcOffset(offsetMinutes);
+    const localTime = nowUtc.plus({ minutes: offsetMinutes });
     const local24Hour = localTime.toFormat('HH:mm:ss');
     const local12Hour = localTime.toFormat('h:mm:ss a'); // 12-hour format with AM/PM
     const tr = document.createElement('tr');
     tr.innerHTML = `<td>${label}</td><td>${local24Hour}</td><td>${local12Hour}</td>`; // Add new cell
     tbody.appendChild(tr);
-  }
+  });
 
-  updateAvailabilitySummary(); // Call the new summary update function here
+  // Availability only changes minute to minute, so skip the (multi-day) recalculation on other ticks
+  const utcMinute = nowUtc.toFormat('yyyy-MM-dd HH:mm');
+  if (utcMinute !== lastSummaryUtcMinute) {
+    lastSummaryUtcMinute = utcMinute;
+    updateAvailabilitySummary(); // Call the new summary update function here
+  }
 }
 
-// Helper function to extract full availability rules for a person from a table row
+// Helper function to extract full availability rules for a person from their table row
 function getPersonAvailabilityRulesFromRow(tr) {
-    // Column index for 'Available Times' is now 5
-    const mainAvailSelect = tr.cells[5].querySelector('.availability-section-container > .availability-type-select');
-    const currentType = mainAvailSelect.value;
+    const availableTimesCell = tr.querySelector('.available-times-cell');
+    const mainSection = availableTimesCell.querySelector('.availability-section-container');
+    const currentType = mainSection.querySelector('.availability-type-select').value;
     
     let availableTimesData = { type: currentType };
 
     if (currentType === 'weekendWeekdays') {
-        const weekdaySelect = tr.cells[5].querySelector('.weekend-weekday-inputs-group .weekday-section .availability-type-select');
-        const weekdayStartInput = tr.cells[5].querySelector('.weekend-weekday-inputs-group .weekday-section .time-input:first-of-type');
-        const weekdayEndInput = tr.cells[5].querySelector('.weekend-weekday-inputs-group .weekday-section .time-input:last-of-type');
-        
-        const weekendSelect = tr.cells[5].querySelector('.weekend-weekday-inputs-group .weekend-section .availability-type-select');
-        const weekendStartInput = tr.cells[5].querySelector('.weekend-weekday-inputs-group .weekend-section .time-input:first-of-type');
-        const weekendEndInput = tr.cells[5].querySelector('.weekend-weekday-inputs-group .weekend-section .time-input:last-of-type');
-
-        availableTimesData.weekdays = { type: weekdaySelect.value };
-        if (weekdaySelect.value === 'specific' || weekdaySelect.value === 'unpredictable' || weekdaySelect.value === 'mostlyFree') {
-            availableTimesData.weekdays.value = (weekdayStartInput.value && weekdayEndInput.value)
-                ? `${weekdayStartInput.value}-${weekdayEndInput.value}`
-                : '';
-        }
-
-        availableTimesData.weekends = { type: weekendSelect.value };
-        if (weekendSelect.value === 'specific' || weekendSelect.value === 'unpredictable' || weekendSelect.value === 'mostlyFree') {
-            availableTimesData.weekends.value = (weekendStartInput.value && weekendEndInput.value)
-                ? `${weekendStartInput.value}-${weekendEndInput.value}`
-                : '';
-        }
+        availableTimesData.weekdays = readAvailabilitySection(availableTimesCell.querySelector('.weekend-weekday-inputs-group .weekday-section'));
+        availableTimesData.weekends = readAvailabilitySection(availableTimesCell.querySelector('.weekend-weekday-inputs-group .weekend-section'));
     } else if (currentType === 'customDays') {
         availableTimesData.dailyRanges = [];
-        const daySections = tr.cells[5].querySelectorAll('.custom-days-inputs-group .day-section');
+        const daySections = availableTimesCell.querySelectorAll('.custom-days-inputs-group .day-section');
         // Collect data in order, ensuring it matches the 0-6 index
         const collectedDayData = Array(7).fill(null);
         daySections.forEach(section => {
             const dayIndex = parseInt(section.dataset.dayIndex);
             if (!isNaN(dayIndex) && dayIndex >= 0 && dayIndex < 7) {
-                const daySelect = section.querySelector('.availability-type-select');
-                const dayStartInput = section.querySelector('.time-input:first-of-type');
-                const dayEndInput = section.querySelector('.time-input:last-of-type');
-
-                const dayData = { type: daySelect.value };
-                if (daySelect.value === 'specific' || daySelect.value === 'unpredictable' || daySelect.value === 'mostlyFree') {
-                    dayData.value = (dayStartInput.value && dayEndInput.value)
-                        ? `${dayStartInput.value}-${dayEndInput.value}`
-                        : '';
-                }
-                collectedDayData[dayIndex] = dayData;
+                collectedDayData[dayIndex] = readAvailabilitySection(section);
             }
         });
         availableTimesData.dailyRanges = collectedDayData.filter(d => d !== null); // Remove nulls if any, though should be 7
     } else { // specific, n/a, unpredictable, mostlyFree, always
-        const mainStartTimeInput = tr.cells[5].querySelector('.availability-section-container .time-input:first-of-type');
-        const mainEndTimeInput = tr.cells[5].querySelector('.availability-section-container .time-input:last-of-type');
-        
-        if (currentType === 'specific' || currentType === 'unpredictable' || currentType === 'mostlyFree') {
-            availableTimesData.value = (mainStartTimeInput.value && mainEndTimeInput.value)
-                ? `${mainStartTimeInput.value}-${mainEndTimeInput.value}`
-                : '';
-        }
+        availableTimesData = readAvailabilitySection(mainSection);
     }
     return availableTimesData;
 }
 
-// Helper to get detailed availability status at a specific local time/day (for current summary list)
-function getAvailabilityStatusAtLocalTimeDetailed(localMinutes, localDayOfWeek, availabilityRules, currentDayName) {
-    let isCurrentlyAvailable = false;
-    let availabilityStatusText = '';
-    let effectiveType = availabilityRules.type;
-
-    if (availabilityRules.type === 'weekendWeekdays') {
-        const isWeekday = (localDayOfWeek >= 1 && localDayOfWeek <= 5);
-        const isWeekend = (localDayOfWeek === 6 || localDayOfWeek === 7);
-
-        let applicableRule = null;
-        let dayTypeLabel = '';
-
-        if (isWeekday && availabilityRules.weekdays) {
-            applicableRule = availabilityRules.weekdays;
-            dayTypeLabel = 'Weekday';
-        } else if (isWeekend && availabilityRules.weekends) {
-            applicableRule = availabilityRules.weekends;
-            dayTypeLabel = 'Weekend';
-        }
-
-        if (applicableRule) {
-            const range = applicableRule.value;
-            const result = processAvailability(localMinutes, applicableRule.type, range, dayTypeLabel);
-            isCurrentlyAvailable = result.isAvailable;
-            availabilityStatusText = result.statusText;
-            effectiveType = result.effectiveType;
-        } else {
-            isCurrentlyAvailable = false;
-            availabilityStatusText = 'Day type availability not set';
-            effectiveType = 'n/a';
-        }
-    } else if (availabilityRules.type === 'customDays') {
-        if (availabilityRules.dailyRanges && availabilityRules.dailyRanges[localDayOfWeek - 1]) {
-            const applicableRule = availabilityRules.dailyRanges[localDayOfWeek - 1];
-            const range = applicableRule.value;
-            const result = processAvailability(localMinutes, applicableRule.type, range, currentDayName);
-            isCurrentlyAvailable = result.isAvailable;
-            availabilityStatusText = result.statusText;
-            effectiveType = result.effectiveType;
-        } else {
-            isCurrentlyAvailable = false;
-            availabilityStatusText = 'Daily availability not set';
-            effectiveType = 'n/a';
-        }
-    } else { // Handle specific, n/a, unpredictable, mostlyFree, always
-        const range = availabilityRules.value;
-        const result = processAvailability(localMinutes, availabilityRules.type, range);
-        isCurrentlyAvailable = result.isAvailable;
-        availabilityStatusText = result.statusText;
-        effectiveType = result.effectiveType;
-    }
-    return { isAvailable: isCurrentlyAvailable, statusText: availabilityStatusText, effectiveType: effectiveType };
+// Reads one exception entry; entries without a start date are ignored
+function readExceptionItem(item) {
+    const startDate = item.querySelector('.exception-start').value;
+    if (!startDate) return null;
+    const endDate = item.querySelector('.exception-end').value || startDate;
+    // Tolerate date ranges entered backwards
+    const [fromDate, toDate] = endDate < startDate ? [endDate, startDate] : [startDate, endDate];
+    return {
+        startDate: fromDate,
+        endDate: toDate,
+        label: item.querySelector('.exception-label').value.trim(),
+        ...readAvailabilitySection(item.querySelector('.availability-section-container'))
+    };
 }
 
-// Helper to check if a person is available at a given local minute and day of week (for best time calculation)
-function isPersonAvailableAtLocalTime(person, localMinutes, localDayOfWeek) {
-    const { availabilityRules } = person;
-
-    // currentDayType is used by processAvailability mainly for statusText, not the boolean logic.
-    // However, it expects a string. Luxon's weekday 1=Mon, 7=Sun.
-    const dayNames = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'];
-    const currentDayNameForProcess = dayNames[localDayOfWeek - 1];
-
-    if (availabilityRules.type === 'weekendWeekdays') {
-        const isWeekday = (localDayOfWeek >= 1 && localDayOfWeek <= 5);
-        const isWeekend = (localDayOfWeek === 6 || localDayOfWeek === 7);
-
-        let applicableRule = null;
-        let dayTypeLabel = ''; // For processAvailability's statusText (even if not used for boolean logic)
-
-        if (isWeekday && availabilityRules.weekdays) {
-            applicableRule = availabilityRules.weekdays;
-            dayTypeLabel = 'Weekday';
-        } else if (isWeekend && availabilityRules.weekends) {
-            applicableRule = availabilityRules.weekends;
-            dayTypeLabel = 'Weekend';
-        }
-
-        if (applicableRule) {
-            const range = applicableRule.value;
-            return processAvailability(localMinutes, applicableRule.type, range, dayTypeLabel).isAvailable;
-        }
-        return false; // No applicable rule found for the day type
-    } else if (availabilityRules.type === 'customDays') {
-        if (availabilityRules.dailyRanges && availabilityRules.dailyRanges[localDayOfWeek - 1]) {
-            const applicableRule = availabilityRules.dailyRanges[localDayOfWeek - 1];
-            const range = applicableRule.value;
-            return processAvailability(localMinutes, applicableRule.type, range, currentDayNameForProcess).isAvailable;
-        }
-        return false; // No rule for this specific day
-    } else { // Handle specific, n/a, unpredictable, mostlyFree, always
-        const range = availabilityRules.value;
-        return processAvailability(localMinutes, availabilityRules.type, range).isAvailable;
-    }
+// Helper to extract the dated exceptions for a person from their table row
+function getPersonExceptionsFromRow(tr) {
+    return Array.from(tr.querySelectorAll('.exceptions-cell .exception-item'))
+        .map(readExceptionItem)
+        .filter(Boolean);
 }
 
-// Helper to format minutes (0-1439) to HH:MM string
-function formatMinutesToHHMM(totalMinutes) {
-    if (totalMinutes < 0) return 'N/A'; // Should not happen with current logic
-    const hours = Math.floor(totalMinutes / 60);
-    const minutes = totalMinutes % 60;
-    return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}`;
-}
-
-// Modified to accept a custom UTC start-of-day
-function findContiguousTimeRange(peopleData, isLookingForAvailability = true, selectedPeopleFilter = new Map(), baseUtcStart = null) {
-    const nowUtcStartOfDay = baseUtcStart || DateTime.now().toUTC().startOf('day');
-    let minuteScores = Array(1440).fill(0); // Score (count of people in target state) for each minute
-    let minuteValidFlags = Array(1440).fill(true); // Flag if minute satisfies all hard constraints
-
-    // NEW: Identify people who are filtered 'online' but can never be available
-    // This list is only relevant for 'best time' calculation (looking for availability)
-    const hardFilteredOnlineAndNeverAvailable = isLookingForAvailability ?
-        peopleData.filter(person =>
-            selectedPeopleFilter.get(person.username) === 'online' && !person.canEverBeAvailable
-        ) : [];
-
-    // Filter peopleData for calculation: Exclude those who are hard-filtered-online and never available
-    // For 'worst time', all people are considered, as 'never available' people are legitimately 'offline'.
-    const peopleForCalculation = isLookingForAvailability ?
-        peopleData.filter(person =>
-            !(selectedPeopleFilter.get(person.username) === 'online' && !person.canEverBeAvailable)
-        ) : peopleData;
-
-    // If, after filtering, there are no people left to calculate an optimal time for
-    // (excluding those who are hard-filtered-online and never available)
-    if (peopleForCalculation.length === 0) {
-        return {
-            count: 0, 
-            range: { startMinute: -1, endMinute: -1 }, 
-            rangeLengthMinutes: 0,
-            skippedHardFilteredOnlinePeople: hardFilteredOnlineAndNeverAvailable // Still return skipped people for best time
-        };
-    }
-
-    // Calculate score and validity for each minute
-    for (let minute = 0; minute < 1440; minute++) {
-        const simulatedUtcTime = nowUtcStartOfDay.plus({ minutes: minute });
-        let currentOnlineCount = 0;
-        let currentOfflineCount = 0;
-        let isMinuteGloballyValid = true; 
-
-        for (const person of peopleForCalculation) { // Iterate over the filtered list
-            const personLocalTime = simulatedUtcTime.plus({ hours: person.effectiveOffsetHours });
-            const localMinutes = personLocalTime.hour * 60 + personLocalTime.minute;
-            const localDayOfWeek = personLocalTime.weekday;
-
-            const isCurrentPersonAvailable = isPersonAvailableAtLocalTime(person, localMinutes, localDayOfWeek);
-
-            // Check against filter constraints for this person (only for people with timezone set)
-            const filterState = selectedPeopleFilter.get(person.username);
-            
-            if (filterState === 'online' && !isCurrentPersonAvailable) {
-                isMinuteGloballyValid = false;
-                break; 
-            }
-            if (filterState === 'offline' && isCurrentPersonAvailable) {
-                isMinuteGloballyValid = false;
-                break; 
-            }
-
-            // Count for scoring if the minute is still considered globally valid
-            if (isCurrentPersonAvailable) {
-                currentOnlineCount++;
-            } else {
-                currentOfflineCount++;
-            }
-        }
+// Splits a comma-separated tag list into trimmed tags, dropping blanks and duplicates
+function parseTags(text) {
+    const tags = [];
+    (text || '').split(',').forEach(part => {
+        const tag = part.trim();
+        if (tag && !tags.includes(tag)) tags.push(tag);
+    });
+    return tags;
+}
 
-        minuteValidFlags[minute] = isMinuteGloballyValid;
-        // The score is the count of the *desired* state (online for best, offline for worst)
-        minuteScores[minute] = isLookingForAvailability ? currentOnlineCount : currentOfflineCount;
-    }
+// Whether a person belongs to the group picked in the group selector (no group means everyone)
+function isPersonInSelectedGroup(person) {
+    return !globalSelectedGroup || (person.tags || []).includes(globalSelectedGroup);
+}
 
-    // Step 1: Find the absolute maximum score among all *valid* minutes.
-    let targetScore = -1;
-    for (let minute = 0; minute < 1440; minute++) {
-        if (minuteValidFlags[minute]) {
-            targetScore = Math.max(targetScore, minuteScores[minute]);
-        }
-    }
+// Hides the table rows of people outside the selected group
+function applyGroupFilterToTable() {
+    document.querySelectorAll('#availability-table tbody tr').forEach(tr => {
+        const person = peopleStore.get(tr.dataset.personId);
+        tr.classList.toggle('group-hidden', !!person && !isPersonInSelectedGroup(person));
+    });
+}
 
-    // If no valid minutes or no one is available/offline in any valid minute
-    if (targetScore <= 0 && isLookingForAvailability) {
-        return { count: 0, range: { startMinute: -1, endMinute: -1 }, rangeLengthMinutes: 0, skippedHardFilteredOnlinePeople: hardFilteredOnlineAndNeverAvailable };
-    }
-    // For worst time, if targetScore is 0 for offline, it means no one is ever offline among calculable people.
-    // This implies everyone is online, so no meaningful "worst time" in terms of offline people.
-    if (targetScore <= 0 && !isLookingForAvailability && peopleForCalculation.length > 0) { // Changed peopleData to peopleForCalculation
-      return { count: 0, range: { startMinute: -1, endMinute: -1 }, rangeLengthMinutes: 0, skippedHardFilteredOnlinePeople: [] };
-    }
-    
-    // Step 2: Find the longest contiguous range of minutes that *all* have the `targetScore` and are `valid`.
-    let bestRangeStart = -1;
-    let bestRangeEnd = -1;
-    let maxRangeLength = 0;
-
-    let currentRangeStart = -1;
-    let currentRangeLength = 0;
-
-    // Extend the scores/flags arrays to handle midnight wrap-around
-    const extendedScores = [...minuteScores, ...minuteScores.slice(0, 1439)];
-    const extendedValidFlags = [...minuteValidFlags, ...minuteValidFlags.slice(0, 1439)];
-
-    for (let i = 0; i < extendedScores.length; i++) {
-        if (extendedValidFlags[i] && extendedScores[i] === targetScore) {
-            if (currentRangeStart === -1) {
-                currentRangeStart = i % 1440;
-            }
-            currentRangeLength++;
-        } else {
-            if (currentRangeStart !== -1) {
-                if (currentRangeLength > maxRangeLength) {
-                    maxRangeLength = currentRangeLength;
-                    bestRangeStart = currentRangeStart;
-                    bestRangeEnd = (currentRangeStart + currentRangeLength - 1) % 1440;
-                } else if (currentRangeLength === maxRangeLength) {
-                    // If multiple ranges of the same max length exist, prefer the earliest one
-                    if (bestRangeStart === -1 || currentRangeStart < bestRangeStart) {
-                         bestRangeStart = currentRangeStart;
-                         bestRangeEnd = (currentRangeStart + currentRangeLength - 1) % 1440;
-                    }
-                }
-                currentRangeStart = -1;
-                currentRangeLength = 0;
-            }
-        }
-    }
+// Rebuilds the group selector from the tags used in the roster, keeping the current pick if it still exists
+function populateGroupSelector() {
+    const groupSelect = document.getElementById('group-selector');
+    const people = peopleStore.getAll();
+    const tagCounts = new Map();
+    people.forEach(person => {
+        (person.tags || []).forEach(tag => tagCounts.set(tag, (tagCounts.get(tag) || 0) + 1));
+    });
 
-    // Handle case where the longest range wraps around and is the only/best candidate
-    if (currentRangeStart !== -1) {
-        if (currentRangeLength > maxRangeLength) {
-            maxRangeLength = currentRangeLength;
-            bestRangeStart = currentRangeStart;
-            bestRangeEnd = (currentRangeStart + currentRangeLength - 1) % 1440;
-        } else if (currentRangeLength === maxRangeLength) {
-             if (bestRangeStart === -1 || currentRangeStart < bestRangeStart) {
-                 bestRangeStart = currentRangeStart;
-                 bestRangeEnd = (currentRangeStart + currentRangeLength - 1) % 1440;
-             }
-        }
-    }
-    
-    // Fallback if targetScore > 0 but no contiguous range was found (e.g. only isolated valid minutes)
-    if (bestRangeStart === -1 && targetScore > 0) {
-        for (let minute = 0; minute < 1440; minute++) {
-            if (minuteValidFlags[minute] && minuteScores[minute] === targetScore) {
-                bestRangeStart = minute;
-                bestRangeEnd = minute;
-                maxRangeLength = 1;
-                break;
-            }
-        }
+    if (globalSelectedGroup && !tagCounts.has(globalSelectedGroup)) {
+        globalSelectedGroup = '';
     }
 
-    return {
-        count: targetScore, 
-        range: { startMinute: bestRangeStart, endMinute: bestRangeEnd },
-        rangeLengthMinutes: maxRangeLength,
-        skippedHardFilteredOnlinePeople: hardFilteredOnlineAndNeverAvailable // Always return this list for best time
-    };
+    groupSelect.innerHTML = '';
+    const everyoneOption = document.createElement('option');
+    everyoneOption.value = '';
+    everyoneOption.textContent = `Everyone (${people.length})`;
+    groupSelect.appendChild(everyoneOption);
+    Array.from(tagCounts.keys()).sort((a, b) => a.localeCompare(b)).forEach(tag => {
+        const option = document.createElement('option');
+        option.value = tag;
+        option.textContent = `${tag} (${tagCounts.get(tag)})`;
+        groupSelect.appendChild(option);
+    });
+    groupSelect.value = globalSelectedGroup;
+    applyGroupFilterToTable();
 }
 
-// Refactored calculateBestAvailabilityTime to use the new helper
-function calculateBestAvailabilityTime(peopleData, selectedPeopleFilter, baseUtcStart) {
-    const calculable = peopleData.filter(p => !p.timezoneUnset);
-    return findContiguousTimeRange(calculable, true, selectedPeopleFilter, baseUtcStart);
-}
-
-// Refactored calculateWorstAvailabilityTime to use the new helper
-function calculateWorstAvailabilityTime(peopleData, selectedPeopleFilter, baseUtcStart) {
-    const calculable = peopleData.filter(p => !p.timezoneUnset);
-    return findContiguousTimeRange(calculable, false, selectedPeopleFilter, baseUtcStart);
-}
-
-// New: build an ordered list of the best-to-worst availability windows
-function getOrderedAvailabilityRanges(peopleData, selectedPeopleFilter, baseUtcStart) {
-  const minuteScores = Array(1440).fill(0);
-  const minuteValidFlags = Array(1440).fill(true);
-
-  // 1) Compute score & validity per minute
-  for (let m = 0; m < 1440; m++) {
-    const sim = baseUtcStart.plus({ minutes: m });
-    let onlineCount = 0;
-    let valid = true;
-    for (const p of peopleData) {
-      const local = sim.plus({ hours: p.effectiveOffsetHours });
-      const localMin = local.hour * 60 + local.minute;
-      const localDay = local.weekday;
-      const isAvail = isPersonAvailableAtLocalTime(p, localMin, localDay);
-      const filterState = selectedPeopleFilter.get(p.username);
-      if (filterState === 'online' && !isAvail) { valid = false; break; }
-      if (filterState === 'offline' && isAvail) { valid = false; break; }
-      if (isAvail) onlineCount++;
-    }
-    minuteValidFlags[m] = valid;
-    minuteScores[m] = onlineCount;
-  }
-
-  // 2) Gather all distinct valid counts, descending
-  const counts = Array.from(new Set(
-    minuteScores.filter((_, i) => minuteValidFlags[i])
-  )).sort((a, b) => b - a);
-
-  // 3) For each count, find the longest contiguous segment
-  const ranges = [];
-  counts.forEach(count => {
-    let bestStart = -1, bestLen = 0, curStart = -1, curLen = 0;
-    for (let i = 0; i < 1440; i++) {
-      if (minuteValidFlags[i] && minuteScores[i] === count) {
-        if (curStart === -1) curStart = i;
-        curLen++;
-      } else {
-        if (curStart !== -1 && curLen > bestLen) {
-          bestLen = curLen;
-          bestStart = curStart;
-        }
-        curStart = -1;
-        curLen = 0;
-      }
-    }
-    if (curStart !== -1 && curLen > bestLen) {
-      bestLen = curLen;
-      bestStart = curStart;
-    }
-    if (bestStart !== -1) {
-      ranges.push({
-        count,
-        startMinute: bestStart,
-        endMinute: bestStart + bestLen - 1,
-        rangeLengthMinutes: bestLen
-      });
-    }
-  });
-  return ranges;
+// Formats a UTC DateTime in the given zone, prefixed with its date when `showDate` is set
+function formatPlanningTime(utcDateTime, zoneName, timeFormat, showDate = globalPlanningDays > 1) {
+    const wallTime = toZoneWallTime(zoneName, utcDateTime);
+    return wallTime.toFormat(showDate ? `ccc d LLL ${timeFormat}` : timeFormat);
 }
 
-// New function to generate hourly slots
-function generateHourlyTimeSlots(peopleData, selectedPeopleFilter, baseUtcStart) {
-    const hourlySlots = [];
-    for (let hour = 0; hour < 24; hour++) {
-        const startMinute = hour * 60;
-        const endMinute = startMinute + 59; 
-
-        let availableCount = 0;
-        let isSlotApplicable = true; // True if no one is explicitly violating filter rules
-
-        const simulatedUtcTimeAtHourStart = baseUtcStart.plus({ minutes: startMinute });
-
-        for (const person of peopleData) {
-            const personLocalTime = simulatedUtcTimeAtHourStart.plus({ hours: person.effectiveOffsetHours });
-            const localMinutes = personLocalTime.hour * 60 + personLocalTime.minute;
-            const localDayOfWeek = personLocalTime.weekday;
+// Formats a slot given in minutes from the planning start as "start – end" (or just "start" for a
+// single minute). The start carries its date when planning several days; the end only when it
+// falls on another day than the start (e.g. a window crossing midnight).
+function formatSlotRange(baseUtcStart, startMinute, endMinute, zoneName, timeFormat) {
+    const startUtc = baseUtcStart.plus({ minutes: startMinute });
+    const startLabel = formatPlanningTime(startUtc, zoneName, timeFormat);
+    if (endMinute <= startMinute) return startLabel;
+    const endUtc = baseUtcStart.plus({ minutes: endMinute });
+    const crossesMidnight = !toZoneWallTime(zoneName, endUtc).hasSame(toZoneWallTime(zoneName, startUtc), 'day');
+    return `${startLabel} – ${formatPlanningTime(endUtc, zoneName, timeFormat, crossesMidnight)}`;
+}
 
-            const isCurrentPersonAvailable = isPersonAvailableAtLocalTime(person, localMinutes, localDayOfWeek);
+// Quorum and confidence weights the scheduling engine scores with
+function getSchedulingOptions() {
+    return { quorumSize: globalQuorumSize, confidenceWeights };
+}
 
-            const filterState = selectedPeopleFilter.get(person.username);
-            
-            // If any person is strictly filtered online but is offline, OR strictly filtered offline but is online,
-            // this hour slot cannot be shown as "valid" for the "All Hourly Slots" view.
-            if ((filterState === 'online' && !isCurrentPersonAvailable) || 
-                (filterState === 'offline' && isCurrentPersonAvailable)) {
-                isSlotApplicable = false;
-                break; 
-            }
+// Formats an expected head-count with at most one decimal, e.g. 3.2 or 4
+function formatExpectedAttendance(expectedAttendance) {
+    return String(Math.round(expectedAttendance * 10) / 10);
+}
 
-            if (isCurrentPersonAvailable) {
-                availableCount++;
-            }
-        }
+// Attendance role of a person in the best-time search: 'required', 'optional' (default) or 'excluded'
+function getAttendanceRole(personId) {
+    return selectedPeopleFilter.get(personId) || 'optional';
+}
 
-        if (isSlotApplicable) { // Only add if it meets filter constraints
-            hourlySlots.push({
-                count: availableCount,
-                startMinute: startMinute,
-                endMinute: endMinute,
-                rangeLengthMinutes: 60 
-            });
-        }
-    }
-    // Return chronologically for "All Hourly Slots" view
-    return hourlySlots;
+// Suffix shown after a name in the summary lists for its attendance role
+function attendanceRoleSuffix(personId) {
+    const role = getAttendanceRole(personId);
+    if (role === 'required') return ' (✓)';
+    if (role === 'excluded') return ' (✕)';
+    return '';
 }
 
 // New: populate the slots as buttons
-function populateTimeSlotsButtons() {
+function populateTimeSlotsButtons(quorumFailure = null) {
   const container = document.getElementById('availability-time-slots-container');
   container.innerHTML = ''; // Clear existing options
 
   if (globalAllTimeSlots.length === 0) {
-      container.textContent = 'No available time slots found matching your criteria.';
+      container.textContent = quorumFailure ? quorumFailure.message : 'No available time slots found matching your criteria.';
       return;
   }
 
-  // Get viewer's timezone settings for local time conversion
-  const viewerOffsetSelect = document.getElementById('viewer-utc-offset');
-  const viewerDstCheckbox = document.getElementById('viewer-dst');
-  const viewerOffset = parseInt(viewerOffsetSelect.value);
-  const viewerDst = viewerDstCheckbox.checked;
-  const effectiveViewerOffset = viewerOffset + (viewerDst ? 1 : 0);
+  const requiredTotal = globalPeopleForCalculation.filter(p => getAttendanceRole(p.id) === 'required').length;
 
-  // Clear previous selected state from all buttons
-  Array.from(container.children).forEach(btn => btn.classList.remove('selected'));
+  // Viewer's timezone (or UTC) and time format for the labels
+  const displayZone = displayTimeInUtc ? 'UTC' : getViewerTimezone();
+  const timeFormat = displayTimeInUtc ? 'HH:mm' : 'h:mm a';
+  const zoneSuffix = displayTimeInUtc ? 'UTC' : 'Local';
 
   globalAllTimeSlots.forEach((slot, i) => {
     const button = document.createElement('button');
-    let buttonText = '';
-
-    if (displayTimeInUtc) {
-        const startUtc = formatMinutesToHHMM(slot.startMinute);
-        const endUtc = formatMinutesToHHMM(slot.endMinute);
-
-        if (currentDisplayMode === 'optimal') {
-            // For optimal, if length is 1, we show just start. Otherwise start-end.
-            buttonText = `${slot.count} people: ${startUtc} ${slot.rangeLengthMinutes > 1 ? `– ${endUtc}` : ''} UTC`;
-        } else { // 'hourly'
-            // For hourly, we always show just start for the label, as it represents the hour block.
-            buttonText = `${slot.count} people: ${startUtc} UTC`;
-        }
-    } else { // Show Local Time
-        const utcStartDateTime = globalBaseUtcStartOfDay.plus({ minutes: slot.startMinute });
-        let utcEndDateTime = globalBaseUtcStartOfDay.plus({ minutes: slot.endMinute });
 
-        // Correctly handle midnight crossing for the end time when converting to local
-        if (slot.startMinute > slot.endMinute && slot.rangeLengthMinutes > 0) {
-            utcEndDateTime = utcEndDateTime.plus({ days: 1 });
-        }
-        
-        const localStartDateTime = utcStartDateTime.plus({ hours: effectiveViewerOffset });
-        const localEndDateTime = utcEndDateTime.plus({ hours: effectiveViewerOffset });
-
-        const localStartFormatted = localStartDateTime.toFormat('h:mm a');
-        const localEndFormatted = localEndDateTime.toFormat('h:mm a');
-
-        if (currentDisplayMode === 'optimal') {
-            // If the optimal range is a single minute, only show the start time.
-            buttonText = `${slot.count} people: ${localStartFormatted} ${slot.rangeLengthMinutes > 1 ? `– ${localEndFormatted}` : ''} Local`;
-        } else { // 'hourly'
-            // For hourly, always show just the start of the hour in local time.
-            buttonText = `${slot.count} people: ${localStartFormatted} Local`;
-        }
+    // For optimal, if length is 1, we show just start. Otherwise start-end.
+    // For hourly, we always show just start for the label, as it represents the hour block.
+    const shownEndMinute = currentDisplayMode === 'optimal' ? slot.endMinute : slot.startMinute;
+    const timeLabel = formatSlotRange(globalBaseUtcStartOfDay, slot.startMinute, shownEndMinute, displayZone, timeFormat);
+    const requiredPart = requiredTotal > 0 ? ` (${slot.requiredCount}/${requiredTotal} required)` : '';
+    button.textContent = `${slot.guaranteedCount} guaranteed / ${formatExpectedAttendance(slot.expectedAttendance)} expected${requiredPart}: ${timeLabel} ${zoneSuffix}`;
+    button.title = `${slot.count} people available, ${slot.guaranteedCount} of them with full confidence, ${slot.preferredCount} in their preferred hours`;
+    // Slots where some attendees are only in their acceptable (not preferred) hours are marked
+    if (slot.preferredCount < slot.count) {
+        button.classList.add('has-acceptable-hours');
+        button.textContent += ` · ★${slot.preferredCount}`;
     }
-    
-    button.textContent = buttonText;
     button.dataset.slotIndex = i; // Store the index for retrieval
 
     if (i === globalSelectedTimeSlotIndex) {
@@ -917,6 +760,8 @@ function handleTimeSlotButtonClick(event) {
 
   if (isNaN(newIndex) || newIndex < 0 || newIndex >= globalAllTimeSlots.length) return;
 
+  globalHeatmapSelectedUtcTime = null; // A chosen slot replaces any moment picked on the heatmap
+
   // If the same button is clicked again, unselect it
   if (globalSelectedTimeSlotIndex === newIndex) {
       globalSelectedTimeSlotIndex = -1; // Unselect
@@ -929,122 +774,71 @@ function handleTimeSlotButtonClick(event) {
 
 // New function to display the best time based on viewer's selected timezone
 // This function now ONLY updates the text outputs, NOT the main summary lists.
-function updateBestTimeDisplay(displayedAvailableCount, displayedTimeRangeUtc, displayedRangeLengthMinutes, peopleForFallbackCalc, skippedHardFilteredOnlinePeople, baseUtcStart, totalPeopleConsideredForCount) {
+function updateBestTimeDisplay(displayedAvailableCount, displayedTimeRangeUtc, displayedRangeLengthMinutes, peopleForFallbackCalc, quorumFailure, baseUtcStart, totalPeopleConsideredForCount, displayedSlot = null) {
     const outputElement = document.getElementById('best-time-output');
-    const viewerOffsetSelect = document.getElementById('viewer-utc-offset');
-    const viewerDstCheckbox = document.getElementById('viewer-dst');
     const local24hOutput = document.getElementById('best-time-local-24h');
     const local12hOutput = document.getElementById('best-time-local-12h');
+    const attendanceOutput = document.getElementById('best-time-attendance');
+    attendanceOutput.textContent = ''; // Only filled in for a chosen slot with a meeting length
 
-    // Calculate viewer's local time for display
-    const viewerOffset = parseInt(viewerOffsetSelect.value);
-    const viewerDst = viewerDstCheckbox.checked;
-    const effectiveViewerOffset = viewerOffset + (viewerDst ? 1 : 0); 
+    // Viewer's zone for local time display
+    const viewerTimezone = getViewerTimezone();
 
-    if (totalPeopleConsideredForCount === 0 && skippedHardFilteredOnlinePeople.length === 0) {
+    if (totalPeopleConsideredForCount === 0) {
         outputElement.textContent = 'No people selected or available for calculation.';
         local24hOutput.textContent = '';
         local12hOutput.textContent = '';
         return;
     }
 
-    // --- NEW FALLBACK: if no full-filter match, still show best overlap among selected "online" users ---
-    const filterOnlineNames = Array.from(selectedPeopleFilter.entries())
-      .filter(([_, state]) => state === 'online')
-      .map(([username]) => username);
-
-    // Re-calculate the absolute best for filtered online people *only*, regardless of current `displayedTimeRangeUtc`
-    const subgroup = peopleForFallbackCalc.filter(p => filterOnlineNames.includes(p.username));
-    const { count: fbCount, range: fbRange, rangeLengthMinutes: fbLen } =
-            findContiguousTimeRange(subgroup, true, new Map(), baseUtcStart); // No filter map for subgroup best time
-
-    if ((displayedAvailableCount <= 0 || displayedTimeRangeUtc.startMinute === -1) && filterOnlineNames.length > 0) {
-        // compute viewer's effective offset
-        const vOff = parseInt(viewerOffsetSelect.value, 10) + (viewerDstCheckbox.checked ? 1 : 0);
-
-        // display a "best overlap" message
-        if (fbCount > 0 && fbRange.startMinute !== -1) {
-            const sUtc = formatMinutesToHHMM(fbRange.startMinute);
-            const eUtc = formatMinutesToHHMM(fbRange.endMinute);
-            const dur = formatMinutesDuration(fbLen);
-            
-            // NEW: Use displayTimeInUtc for the main output
-            let mainTimeStr = '';
-            if (displayTimeInUtc) {
-                mainTimeStr = `<span style="color:#FFF0A0;">${sUtc} ${fbLen > 1 ? `– ${eUtc}` : ''} UTC</span>`;
-            } else {
-                let dtStart = baseUtcStart.startOf('day').plus({ minutes: fbRange.startMinute });
-                let dtEnd = baseUtcStart.startOf('day').plus({ minutes: fbRange.endMinute });
-                if (fbRange.startMinute > fbRange.endMinute) dtEnd = dtEnd.plus({ days: 1 });
-                const locStart = dtStart.plus({ hours: vOff });
-                const locEnd = dtEnd.plus({ hours: vOff });
-                mainTimeStr = `<span style="color:#FFF0A0;">${locStart.toFormat('h:mm a')} ${fbLen > 1 ? `– ${locEnd.toFormat('h:mm a')}` : ''} Local</span>`;
-            }
-
-            outputElement.innerHTML = 
-              `Best overlap for selected: <span style="color:#A0F0A0;">${fbCount}/${subgroup.length}</span>` +
-              ` at ${mainTimeStr} (${dur})`;
-
-            // viewer-local times (always show these below the main output)
-            let dtStart = baseUtcStart.startOf('day').plus({ minutes: fbRange.startMinute });
-            let dtEnd   = baseUtcStart.startOf('day').plus({ minutes: fbRange.endMinute });
-            if (fbRange.startMinute > fbRange.endMinute) dtEnd = dtEnd.plus({ days: 1 });
-            const locStart = dtStart.plus({ hours: vOff });
-            const locEnd   = dtEnd.plus({ hours: vOff });
-            local24hOutput.textContent = `Local (24h): ${locStart.toFormat('HH:mm')} - ${locEnd.toFormat('HH:mm')}`;
-            local12hOutput.textContent = `Local (12h): ${locStart.toFormat('h:mm a')} - ${locEnd.toFormat('h:mm a')}`;
-
-        } else {
-            outputElement.textContent = 'Selected people have no overlapping availability.';
-            local24hOutput.textContent = '';
-            local12hOutput.textContent = '';
-        }
+    // Nothing meets the quorum: say which required person is blocking it
+    if (quorumFailure) {
+        outputElement.textContent = quorumFailure.message;
+        local24hOutput.textContent = '';
+        local12hOutput.textContent = '';
         return;
     }
 
     // --- Main display logic for the currently chosen slot/custom time ---
     if (displayedAvailableCount > 0 && displayedTimeRangeUtc.startMinute !== -1) {
-        const displayedTimeUtcStartStr = formatMinutesToHHMM(displayedTimeRangeUtc.startMinute);
-        const displayedTimeUtcEndStr = formatMinutesToHHMM(displayedTimeRangeUtc.endMinute);
         const formattedLength = formatMinutesDuration(displayedRangeLengthMinutes);
 
-        // Calculate viewer's local time for start and end of the range
-        const displayedTimeUtcStartDateTime = baseUtcStart.startOf('day').plus({ minutes: displayedTimeRangeUtc.startMinute });
-        let displayedTimeUtcEndDateTime = baseUtcStart.startOf('day').plus({ minutes: displayedTimeRangeUtc.endMinute });
-
-        // If the range wraps around midnight, the end date is the next day.
-        if (displayedTimeRangeUtc.startMinute > displayedTimeRangeUtc.endMinute) {
-            displayedTimeUtcEndDateTime = displayedTimeUtcEndDateTime.plus({ days: 1 });
-        }
-        // Handle single minute case correctly for display (start and end are same)
-        if (displayedRangeLengthMinutes === 1 && displayedTimeRangeUtc.startMinute === displayedTimeRangeUtc.endMinute) {
-            // Display only one time point
-            displayedTimeUtcEndDateTime = displayedTimeUtcStartDateTime; // Effectively makes end time same as start
-        }
-
-        const displayedTimeLocalStartDateTime = displayedTimeUtcStartDateTime.plus({ hours: effectiveViewerOffset });
-        const displayedTimeLocalEndDateTime = displayedTimeUtcEndDateTime.plus({ hours: effectiveViewerOffset });
-
-        const local24HourStart = displayedTimeLocalStartDateTime.toFormat('HH:mm');
-        const local12HourStart = displayedTimeLocalStartDateTime.toFormat('h:mm a');
-
-        const local24HourEnd = displayedTimeLocalEndDateTime.toFormat('HH:mm');
-        const local12HourEnd = displayedTimeLocalEndDateTime.toFormat('h:mm a');
+        // Minutes count from the planning start, so a range crossing midnight simply ends on a later date.
+        // A single-minute range shows only its start.
+        const { startMinute: displayedStartMinute } = displayedTimeRangeUtc;
+        const displayedEndMinute = displayedRangeLengthMinutes > 1 ? displayedTimeRangeUtc.endMinute : displayedStartMinute;
 
         let mainMessage = `Available: <span style="color:#A0F0A0;">${displayedAvailableCount} out of ${totalPeopleConsideredForCount}</span>`;
+        const requiredTotal = peopleForFallbackCalc.filter(p => getAttendanceRole(p.id) === 'required').length;
+        if (displayedSlot) {
+            // Guaranteed = available with full confidence; expected = confidence-weighted head-count
+            mainMessage += ` (${displayedSlot.guaranteedCount} guaranteed, ${formatExpectedAttendance(displayedSlot.expectedAttendance)} expected)`;
+            if (requiredTotal > 0) mainMessage += ` (required: ${displayedSlot.requiredCount}/${requiredTotal})`;
+        }
 
         // NEW: Apply displayTimeInUtc logic for the main output
-        let timeOutputPart = '';
-        if (displayTimeInUtc) {
-            timeOutputPart = `<span style="color:#FFF0A0;">${displayedTimeUtcStartStr} ${displayedRangeLengthMinutes > 1 ? `– ${displayedTimeUtcEndStr}` : ''} UTC</span>`;
-        } else {
-            timeOutputPart = `<span style="color:#FFF0A0;">${local12HourStart} ${displayedRangeLengthMinutes > 1 ? `– ${local12HourEnd}` : ''} Local</span>`;
-        }
+        const timeOutputPart = displayTimeInUtc
+            ? `<span style="color:#FFF0A0;">${formatSlotRange(baseUtcStart, displayedStartMinute, displayedEndMinute, 'UTC', 'HH:mm')} UTC</span>`
+            : `<span style="color:#FFF0A0;">${formatSlotRange(baseUtcStart, displayedStartMinute, displayedEndMinute, viewerTimezone, 'h:mm a')} Local</span>`;
         outputElement.innerHTML = `${mainMessage} at ${timeOutputPart} (${formattedLength})`;
 
         // These always show local 24h/12h from the viewer's perspective
-        local24hOutput.textContent = `Local (24h): ${local24HourStart} ${displayedRangeLengthMinutes > 1 ? `– ${local24HourEnd}` : ''}`;
-        local12hOutput.textContent = `Local (12h): ${local12HourStart} ${displayedRangeLengthMinutes > 1 ? `– ${local12HourEnd}` : ''}`;
+        local24hOutput.textContent = `Local (24h): ${formatSlotRange(baseUtcStart, displayedStartMinute, displayedEndMinute, viewerTimezone, 'HH:mm')}`;
+        local12hOutput.textContent = `Local (12h): ${formatSlotRange(baseUtcStart, displayedStartMinute, displayedEndMinute, viewerTimezone, 'h:mm a')}`;
+
+        // With a meeting length, list who only makes part of a meeting held at the start of the slot
+        if (globalMeetingLengthMinutes > 1) {
+            const { joinLate, leaveEarly } = describeMeetingAttendance(peopleForFallbackCalc, selectedPeopleFilter, baseUtcStart, displayedStartMinute, globalMeetingLengthMinutes, getSchedulingOptions());
+            const describe = entries => entries.map(entry => `${entry.username} (${formatMinutesDuration(entry.minutes)})`).join(', ');
+            const parts = [];
+            if (joinLate.length > 0) parts.push(`Joins late: ${describe(joinLate)}`);
+            if (leaveEarly.length > 0) parts.push(`Leaves early: ${describe(leaveEarly)}`);
+            const meetingLabel = formatSlotRange(baseUtcStart, displayedStartMinute, displayedStartMinute + globalMeetingLengthMinutes - 1,
+                displayTimeInUtc ? 'UTC' : viewerTimezone, displayTimeInUtc ? 'HH:mm' : 'h:mm a');
+            attendanceOutput.textContent = parts.length > 0
+                ? `Meeting ${meetingLabel}: ${parts.join(' · ')}`
+                : `Meeting ${meetingLabel}: no one joins late or leaves early.`;
+        }
 
     } else { // No optimal time found where filtered people are available or constraints are met
         outputElement.textContent = 'No one is available at the selected time or filter constraints are not met.';
@@ -1056,8 +850,6 @@ function updateBestTimeDisplay(displayedAvailableCount, displayedTimeRangeUtc, d
 // New function to display the worst time based on viewer's selected timezone
 function displayViewerLocalWorstTime(maxOfflineCount, worstTimeRangeUtc, rangeLengthMinutes, peopleDataForLists, baseUtcStart) {
     const outputElement = document.getElementById('worst-time-output');
-    const viewerOffsetSelect = document.getElementById('viewer-utc-offset'); 
-    const viewerDstCheckbox = document.getElementById('viewer-dst');
     const local24hOutput = document.getElementById('worst-time-local-24h');
     const local12hOutput = document.getElementById('worst-time-local-12h');
     
@@ -1067,14 +859,12 @@ function displayViewerLocalWorstTime(maxOfflineCount, worstTimeRangeUtc, rangeLe
 
     worstTimeStatusListUl.innerHTML = ''; // Clear new list
 
-    // Calculate viewer's local time for display
-    const viewerOffset = parseInt(viewerOffsetSelect.value);
-    const viewerDst = viewerDstCheckbox.checked;
-    const effectiveViewerOffset = viewerOffset + (viewerDst ? 1 : 0); 
+    // Viewer's zone for local time display
+    const viewerTimezone = getViewerTimezone();
 
     // Determine the UTC time point to use for person status display in the list
     const simulatedUtcTimeForList = (worstTimeRangeUtc.startMinute !== -1)
-        ? baseUtcStart.startOf('day').plus({ minutes: worstTimeRangeUtc.startMinute })
+        ? baseUtcStart.plus({ minutes: worstTimeRangeUtc.startMinute })
         : DateTime.now().toUTC(); // Fallback to current UTC if no specific range is determined
 
     const totalPeopleConsidered = peopleDataForLists.length;
@@ -1089,38 +879,19 @@ function displayViewerLocalWorstTime(maxOfflineCount, worstTimeRangeUtc, rangeLe
     }
 
     if (maxOfflineCount > 0 && worstTimeRangeUtc.startMinute !== -1) {
-        const worstTimeUtcStartStr = formatMinutesToHHMM(worstTimeRangeUtc.startMinute);
-        const worstTimeUtcEndStr = formatMinutesToHHMM(worstTimeRangeUtc.endMinute);
         const formattedLength = formatMinutesDuration(rangeLengthMinutes);
-
-        // Calculate viewer's local time for start and end of the range
-        const worstTimeUtcStartDateTime = baseUtcStart.startOf('day').plus({ minutes: worstTimeRangeUtc.startMinute });
-        let worstTimeUtcEndDateTime = baseUtcStart.startOf('day').plus({ minutes: worstTimeRangeUtc.endMinute });
-
-        // If the range wraps around midnight, the end date is the next day.
-        if (worstTimeRangeUtc.startMinute > worstTimeRangeUtc.endMinute) {
-            worstTimeUtcEndDateTime = worstTimeUtcEndDateTime.plus({ days: 1 });
-        }
-
-        const worstTimeLocalStartDateTime = worstTimeUtcStartDateTime.plus({ hours: effectiveViewerOffset });
-        const worstTimeLocalEndDateTime = worstTimeUtcEndDateTime.plus({ hours: effectiveViewerOffset });
-
-        const local24HourStart = worstTimeLocalStartDateTime.toFormat('HH:mm');
-        const local12HourStart = worstTimeLocalStartDateTime.toFormat('h:mm a');
-
-        const local24HourEnd = worstTimeLocalEndDateTime.toFormat('HH:mm');
-        const local12HourEnd = worstTimeLocalEndDateTime.toFormat('h:mm a');
+        const { startMinute: worstStartMinute, endMinute: worstEndMinute } = worstTimeRangeUtc;
 
         let mainMessage = `Most selected people offline: <span style="color:#FF8080;">${maxOfflineCount} out of ${totalPeopleConsidered}</span>`;
 
-        outputElement.innerHTML = `${mainMessage} at <span style="color:#FFF0A0;">${worstTimeUtcStartStr} - ${worstTimeUtcEndStr} UTC</span> (for ${formattedLength})`;
-        local24hOutput.textContent = `Local (24h): ${local24HourStart} - ${local24HourEnd}`;
-        local12hOutput.textContent = `Local (12h): ${local12HourStart} - ${local12HourEnd}`;
+        outputElement.innerHTML = `${mainMessage} at <span style="color:#FFF0A0;">${formatSlotRange(baseUtcStart, worstStartMinute, worstEndMinute, 'UTC', 'HH:mm')} UTC</span> (for ${formattedLength})`;
+        local24hOutput.textContent = `Local (24h): ${formatSlotRange(baseUtcStart, worstStartMinute, worstEndMinute, viewerTimezone, 'HH:mm')}`;
+        local12hOutput.textContent = `Local (12h): ${formatSlotRange(baseUtcStart, worstStartMinute, worstEndMinute, viewerTimezone, 'h:mm a')}`;
 
         let combinedPeopleList = [];
 
         peopleDataForLists.forEach(person => { 
-            const personLocalTime = simulatedUtcTimeForList.plus({ hours: person.effectiveOffsetHours }); // Use simulated time
+            const personLocalTime = toPersonLocalTime(person, simulatedUtcTimeForList); // Use simulated time
             const localMinutes = personLocalTime.hour * 60 + personLocalTime.minute;
             const localDayOfWeek = personLocalTime.weekday;
             const currentDayNameForProcess = personLocalTime.weekdayLong;
@@ -1129,13 +900,12 @@ function displayViewerLocalWorstTime(maxOfflineCount, worstTimeRangeUtc, rangeLe
                 localMinutes, 
                 localDayOfWeek, 
                 person.availabilityRules, 
-                currentDayNameForProcess
+                currentDayNameForProcess,
+                person.exceptions,
+                personLocalTime.toISODate()
             );
 
-            const filterState = selectedPeopleFilter.get(person.username);
-            let usernameDisplay = person.username;
-            if (filterState === 'online') usernameDisplay = `${person.username} (✓)`;
-            if (filterState === 'offline') usernameDisplay = `${person.username} (✕)`;
+            const usernameDisplay = `${person.username}${attendanceRoleSuffix(person.id)}`;
 
             combinedPeopleList.push({
                 username: usernameDisplay, 
@@ -1206,7 +976,7 @@ function displayViewerLocalWorstTime(maxOfflineCount, worstTimeRangeUtc, rangeLe
         
         let combinedPeopleList = [];
         peopleDataForLists.forEach(p => { 
-            const personLocalTime = simulatedUtcTimeForList.plus({ hours: p.effectiveOffsetHours }); // Use simulated time
+            const personLocalTime = toPersonLocalTime(p, simulatedUtcTimeForList); // Use simulated time
             const localMinutes = personLocalTime.hour * 60 + personLocalTime.minute;
             const localDayOfWeek = personLocalTime.weekday;
             const currentDayNameForProcess = personLocalTime.weekdayLong;
@@ -1215,13 +985,12 @@ function displayViewerLocalWorstTime(maxOfflineCount, worstTimeRangeUtc, rangeLe
                 localMinutes, 
                 localDayOfWeek, 
                 p.availabilityRules, 
-                currentDayNameForProcess
+                currentDayNameForProcess,
+                p.exceptions,
+                personLocalTime.toISODate()
             );
             
-            const filterState = selectedPeopleFilter.get(p.username);
-            let usernameDisplay = p.username;
-            if (filterState === 'online') usernameDisplay = `${p.username} (✓)`;
-            if (filterState === 'offline') usernameDisplay = `${p.username} (✕)`;
+            const usernameDisplay = `${p.username}${attendanceRoleSuffix(p.id)}`;
 
             combinedPeopleList.push({
                 username: usernameDisplay, 
@@ -1276,6 +1045,134 @@ function displayViewerLocalWorstTime(maxOfflineCount, worstTimeRangeUtc, rangeLe
     }
 }
 
+// Weekly heatmap: each cell of the next seven days (viewer's timezone) coloured by how many people are free
+function renderWeeklyHeatmap(peopleData) {
+    const heatmapDetails = document.getElementById('heatmap-details');
+    if (!heatmapDetails.open) return; // Only compute while the panel is visible
+
+    const grid = document.getElementById('availability-heatmap');
+    const cellMinutes = parseInt(document.getElementById('heatmap-resolution').value, 10) || 60;
+    const cellsPerDay = 1440 / cellMinutes;
+    const viewerTimezone = getViewerTimezone();
+    const firstDay = DateTime.now().setZone(viewerTimezone).startOf('day');
+
+    // Same people the slot search considers: excluded people are left out
+    const consideredPeople = peopleData.filter(p => getAttendanceRole(p.id) !== 'excluded');
+    const requiredTotal = consideredPeople.filter(p => getAttendanceRole(p.id) === 'required').length;
+
+    // 'HH:mm' of minutes from midnight; 24:00 ends the last cell of a day
+    const formatWallClock = (minutes) => `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+
+    globalHeatmapCells = [];
+    for (let day = 0; day < 7; day++) {
+        const dayStart = firstDay.plus({ days: day });
+        const isoDate = dayStart.toISODate();
+        for (let cell = 0; cell < cellsPerDay; cell++) {
+            // Cells follow the wall clock like the hour headers, so a clock change doesn't shift the
+            // rest of the day; an hour skipped by the change shows the hour after it
+            const minutesIntoDay = cell * cellMinutes;
+            const utcTime = DateTime.fromMillis(getZoneWallClockUtc(viewerTimezone, isoDate, minutesIntoDay), { zone: 'UTC' });
+            const skipped = utcTime.setZone(viewerTimezone).toFormat('HH:mm') !== formatWallClock(minutesIntoDay);
+            const availablePeople = [];
+            const unavailablePeople = [];
+            let requiredCount = 0;
+
+            for (const person of consideredPeople) {
+                const isAvailable = isPersonAvailableAt(person, utcTime.toMillis());
+                if (isAvailable && getAttendanceRole(person.id) === 'required') requiredCount++;
+                (isAvailable ? availablePeople : unavailablePeople).push(person.username);
+            }
+
+            const { valid } = scoreAttendance(requiredCount, availablePeople.length, requiredTotal, consideredPeople.length, 0, 0, globalQuorumSize);
+            globalHeatmapCells.push({
+                utcTime,
+                label: `${dayStart.toFormat('ccc d LLL')} ${formatWallClock(minutesIntoDay)} – ${formatWallClock(minutesIntoDay + cellMinutes)}` +
+                    (skipped ? ' (skipped by the clock change)' : ''),
+                availablePeople,
+                unavailablePeople,
+                missesQuorum: !valid
+            });
+        }
+    }
+
+    // Skip rebuilding the DOM (and losing hover state) when nothing visible changed, e.g. on clock ticks
+    const selectedMillis = globalHeatmapSelectedUtcTime ? globalHeatmapSelectedUtcTime.toMillis() : -1;
+    const signature = JSON.stringify([
+        firstDay.toISO(), cellMinutes, consideredPeople.length, selectedMillis,
+        globalHeatmapCells.map(c => [c.availablePeople, c.missesQuorum])
+    ]);
+    if (grid.dataset.signature === signature) return;
+    grid.dataset.signature = signature;
+
+    grid.innerHTML = '';
+    grid.style.gridTemplateColumns = `auto repeat(${cellsPerDay}, 1fr)`;
+
+    // Header row with hour labels
+    grid.appendChild(document.createElement('div'));
+    for (let cell = 0; cell < cellsPerDay; cell++) {
+        const hourLabel = document.createElement('div');
+        hourLabel.className = 'heatmap-hour-label';
+        const minutesIntoDay = cell * cellMinutes;
+        hourLabel.textContent = minutesIntoDay % 60 === 0 ? String(minutesIntoDay / 60).padStart(2, '0') : '';
+        grid.appendChild(hourLabel);
+    }
+
+    globalHeatmapCells.forEach((cellData, index) => {
+        if (index % cellsPerDay === 0) {
+            const dayLabel = document.createElement('div');
+            dayLabel.className = 'heatmap-day-label';
+            dayLabel.textContent = firstDay.plus({ days: index / cellsPerDay }).toFormat('ccc d');
+            grid.appendChild(dayLabel);
+        }
+
+        const cellEl = document.createElement('div');
+        cellEl.className = 'heatmap-cell';
+        cellEl.dataset.cellIndex = index;
+        const ratio = consideredPeople.length > 0 ? cellData.availablePeople.length / consideredPeople.length : 0;
+        cellEl.style.backgroundColor = `rgba(160, 240, 160, ${(0.08 + ratio * 0.92).toFixed(2)})`;
+        cellEl.textContent = cellData.availablePeople.length || '';
+        if (cellData.missesQuorum) cellEl.classList.add('heatmap-cell-filtered');
+        if (cellData.utcTime.toMillis() === selectedMillis) cellEl.classList.add('selected');
+        grid.appendChild(cellEl);
+    });
+}
+
+// Shows who is in/out for the hovered heatmap cell
+function showHeatmapTooltip(event) {
+    const cellEl = event.target.closest('.heatmap-cell');
+    const tooltip = document.getElementById('heatmap-tooltip');
+    if (!cellEl) {
+        tooltip.style.display = 'none';
+        return;
+    }
+    const cellData = globalHeatmapCells[parseInt(cellEl.dataset.cellIndex, 10)];
+    if (!cellData) return;
+    tooltip.textContent = [
+        cellData.label,
+        `In (${cellData.availablePeople.length}): ${cellData.availablePeople.join(', ') || '—'}`,
+        `Out (${cellData.unavailablePeople.length}): ${cellData.unavailablePeople.join(', ') || '—'}`,
+        cellData.missesQuorum ? 'Does not meet the quorum' : ''
+    ].filter(Boolean).join('\n');
+    tooltip.style.left = `${event.clientX + 12}px`;
+    tooltip.style.top = `${event.clientY + 12}px`;
+    tooltip.style.display = 'block';
+}
+
+// Clicking a cell makes that moment the simulated time of the summary lists; clicking it again clears it
+function handleHeatmapCellClick(event) {
+    const cellEl = event.target.closest('.heatmap-cell');
+    if (!cellEl) return;
+    const cellData = globalHeatmapCells[parseInt(cellEl.dataset.cellIndex, 10)];
+    if (!cellData) return;
+
+    if (globalHeatmapSelectedUtcTime && globalHeatmapSelectedUtcTime.toMillis() === cellData.utcTime.toMillis()) {
+        globalHeatmapSelectedUtcTime = null;
+    } else {
+        globalHeatmapSelectedUtcTime = cellData.utcTime;
+    }
+    updateAvailabilitySummary();
+}
+
 // Helper to render the availability lists (extracted from original updateAvailabilitySummary)
 function renderAvailabilityLists(peopleForRendering) {
     let availablePeople = [];
@@ -1284,7 +1181,7 @@ function renderAvailabilityLists(peopleForRendering) {
     peopleForRendering.forEach(p => {
         if (p.isAvailable) {
             // Pass the note along
-            availablePeople.push({ username: p.username, remaining: p.statusText, iconSrc: p.iconSrc, type: p.effectiveType, note: p.note });
+            availablePeople.push({ username: p.username, remaining: p.statusText, iconSrc: p.iconSrc, type: p.effectiveType, note: p.note, isPreferred: p.isPreferred });
         } else {
             // Pass the note along
             notAvailablePeople.push({ username: p.username, timeUntilNext: p.statusText, iconSrc: p.iconSrc, type: p.effectiveType, note: p.note });
@@ -1300,6 +1197,7 @@ function renderAvailabilityLists(peopleForRendering) {
     availableUl.innerHTML = '';
     availablePeople.forEach(p => {
         const li = document.createElement('li');
+        if (!p.isPreferred) li.classList.add('acceptable-hours'); // Outside their preferred hours
         
         const iconWrapper = document.createElement('div');
         iconWrapper.className = 'icon-with-note-wrapper';
@@ -1394,72 +1292,162 @@ function renderAvailabilityLists(peopleForRendering) {
     document.getElementById('not-available-list-count').textContent = notAvailablePeople.length;
 }
 
+// Days asked for by the planning range. An empty or earlier "To" date plans the "From" day only;
+// the caller caps longer ranges at MAX_PLANNING_DAYS.
+function getRequestedPlanningDays(baseUtcStartOfDay) {
+  const endDateValue = document.getElementById('selected-end-date').value;
+  if (!endDateValue) return 1;
+  const endUtcStartOfDay = DateTime.fromISO(endDateValue, { zone: 'UTC' }).startOf('day');
+  if (!endUtcStartOfDay.isValid) return 1;
+  const days = Math.round(endUtcStartOfDay.diff(baseUtcStartOfDay, 'days').days) + 1;
+  return Math.max(days, 1);
+}
+
+// Keeps the "To" picker between the "From" date and the last day that can be planned
+function updateEndDateLimits() {
+  const fromDate = DateTime.fromISO(document.getElementById('selected-date').value, { zone: 'UTC' });
+  const endDatePicker = document.getElementById('selected-end-date');
+  endDatePicker.min = fromDate.isValid ? fromDate.toISODate() : '';
+  endDatePicker.max = fromDate.isValid ? fromDate.plus({ days: MAX_PLANNING_DAYS - 1 }).toISODate() : '';
+}
+
+// Lazily starts the slot search worker. Where module workers can't run (old browsers, some file://
+// setups) the search falls back to the main thread.
+function getSummaryWorker() {
+  if (summaryWorker !== null) return summaryWorker;
+  if (typeof Worker === 'undefined') return (summaryWorker = false);
+  try {
+    summaryWorker = new Worker('scheduler-worker.js', { type: 'module' });
+  } catch (error) {
+    console.warn('Slot search worker unavailable, calculating on the main thread:', error);
+    return (summaryWorker = false);
+  }
+  summaryWorker.addEventListener('message', (event) => {
+    const { id, result, error } = event.data;
+    if (!latestSummaryRequest || id !== latestSummaryRequest.id) return; // A newer request is on its way
+    if (error) {
+      console.error('Slot search failed in the worker:', error);
+      finishSummaryRequest(calculateSummarySlots(latestSummaryRequest.request));
+      return;
+    }
+    finishSummaryRequest(result);
+  });
+  summaryWorker.addEventListener('error', (event) => {
+    // The worker script failed to load or crashed: stop using it and redo the latest request here
+    event.preventDefault();
+    console.warn('Slot search worker failed, calculating on the main thread:', event.message);
+    summaryWorker.terminate();
+    summaryWorker = false;
+    if (latestSummaryRequest) finishSummaryRequest(calculateSummarySlots(latestSummaryRequest.request));
+  });
+  return summaryWorker;
+}
+
+// Starts a slot search; `onResult` runs with its result unless a newer search was started meanwhile
+function requestSummarySlots(request, onResult) {
+  const id = ++summaryRequestCount;
+  latestSummaryRequest = { id, request, onResult };
+  const worker = getSummaryWorker();
+  if (!worker) {
+    finishSummaryRequest(calculateSummarySlots(request));
+    return;
+  }
+  document.getElementById('availability-time-slots-container').classList.add('is-calculating');
+  worker.postMessage({ id, ...request });
+}
+
+function finishSummaryRequest(result) {
+  const { onResult } = latestSummaryRequest;
+  latestSummaryRequest = null;
+  document.getElementById('availability-time-slots-container').classList.remove('is-calculating');
+  onResult(result);
+}
+
 function updateAvailabilitySummary() {
-  // 1) Determine the planning day from the date picker
+  // 1) Determine the planning range from the From/To date pickers
   const selectedDateValue = document.getElementById('selected-date').value;
   const baseUtcStartOfDay = selectedDateValue
     ? DateTime.fromISO(selectedDateValue, { zone: 'UTC' }).startOf('day')
     : DateTime.now().toUTC().startOf('day');
   globalBaseUtcStartOfDay = baseUtcStartOfDay;
+  const requestedPlanningDays = getRequestedPlanningDays(baseUtcStartOfDay);
+  globalPlanningDays = Math.min(requestedPlanningDays, MAX_PLANNING_DAYS);
+  // A typed or loaded "To" date can still lie beyond the picker's limit: say the range was shortened
+  document.getElementById('planning-range-note').textContent = requestedPlanningDays > MAX_PLANNING_DAYS
+      ? `Planning is limited to ${MAX_PLANNING_DAYS} days: showing ${baseUtcStartOfDay.toFormat('d LLL')} – ${baseUtcStartOfDay.plus({ days: MAX_PLANNING_DAYS - 1 }).toFormat('d LLL')} only.`
+      : '';
+  const planningSpanMinutes = globalPlanningDays * 1440;
 
   const nowUtc = DateTime.now().toUTC();
-  const rows = Array.from(document.querySelectorAll('#availability-table tbody tr'));
+  // Only the selected group takes part in planning and in the summary lists
+  const rosterPeople = peopleStore.getAll().filter(isPersonInSelectedGroup);
 
   let peopleForCalculation = [];
 
-  rows.forEach(tr => {
-    const usernameInput = tr.cells[1].querySelector('input');
-    const username = usernameInput ? usernameInput.value.trim() : '';
-    const iconImg = tr.cells[0].querySelector('img.icon-preview');
-    const iconSrc = iconImg && iconImg.style.display !== 'none' ? iconImg.src : ''; 
-    const noteInput = tr.cells[2].querySelector('textarea'); 
-    const note = noteInput ? noteInput.value.trim() : ''; 
+  rosterPeople.forEach(person => {
+    const username = (person.username || '').trim();
+    const iconSrc = person.iconSrc || '';
+    const note = (person.note || '').trim();
 
     if (!username) return; 
 
-    const timezoneUnset = tr.dataset.timezoneUnset === 'true';
-    const isDstInput = tr.cells[3].querySelector('input');
-    const isDst = isDstInput ? isDstInput.checked : false;
-    const utcOffsetSelect = tr.cells[4].querySelector('select');
-    const utcOffset = utcOffsetSelect ? parseInt(utcOffsetSelect.value) : 0;
-
-    let effectiveOffsetHours = 0;
-    if (!timezoneUnset) {
-        effectiveOffsetHours = utcOffset + (isDst ? 1 : 0);
-    }
+    const timezoneUnset = !!person.timezoneUnset;
+    const timezone = person.timezone || 'UTC';
 
-    const availabilityRules = getPersonAvailabilityRulesFromRow(tr);
+    const availabilityRules = person.availableTimes;
+    const exceptions = person.exceptions || [];
 
     // Populate peopleForCalculation (for best/worst time calculations)
     if (!timezoneUnset) {
         peopleForCalculation.push({
+            id: person.id,
             username,
             iconSrc,
-            effectiveOffsetHours,
+            timezone,
             availabilityRules,
+            exceptions,
             timezoneUnset, 
             note,
-            canEverBeAvailable: isPersonEverAvailable(availabilityRules)
+            tags: person.tags || [],
+            canEverBeAvailable: isPersonEverAvailable(availabilityRules, exceptions)
         });
     }
   });
 
   globalPeopleForCalculation = peopleForCalculation;
 
+  // The slot search runs in a worker; the rest of the summary is drawn once its latest result is back
+  const summaryContext = { baseUtcStartOfDay, nowUtc, rosterPeople, peopleForCalculation };
+  requestSummarySlots({
+      // Only what the engine reads; icons and notes would only slow down copying to the worker
+      people: peopleForCalculation.map(({ id, username, timezone, availabilityRules, exceptions }) => ({ id, username, timezone, availabilityRules, exceptions })),
+      selectedPeopleFilter,
+      baseUtcStart: baseUtcStartOfDay.toMillis(),
+      spanMinutes: planningSpanMinutes,
+      meetingLengthMinutes: globalMeetingLengthMinutes,
+      displayMode: currentDisplayMode,
+      options: getSchedulingOptions()
+  }, result => renderSummaryResult(summaryContext, result));
+
+  renderWeeklyHeatmap(peopleForCalculation);
+
+  scheduleAutosave(); // Every edit ends up here; unchanged data is not rewritten
+  scheduleHistoryCheckpoint();
+}
+
+// Draws the slot buttons, the summary lists and the best/worst times from a slot search result
+function renderSummaryResult({ baseUtcStartOfDay, nowUtc, rosterPeople, peopleForCalculation }, { slots, quorumFailure, worst }) {
   // --- Determine the central simulated UTC time for main lists and Best Time display ---
   let targetSimulatedUtcTime = null; // This will be the time used for the main summary lists and Best Time display
   let targetSimulatedCount = 0;
   let targetSimulatedRangeLength = 0;
   let targetSimulatedStartMinute = -1;
   let targetSimulatedEndMinute = -1;
+  let targetSimulatedSlot = null;
 
-  // Custom time input no longer exists, so logic now always flows to mode-based slot generation.
-  if (currentDisplayMode === 'optimal') {
-      globalAllTimeSlots = getOrderedAvailabilityRanges(peopleForCalculation, selectedPeopleFilter, baseUtcStartOfDay);
-  } else { // 'hourly'
-      globalAllTimeSlots = generateHourlyTimeSlots(peopleForCalculation, selectedPeopleFilter, baseUtcStartOfDay);
-  }
-  populateTimeSlotsButtons(); // Populates buttons based on globalAllTimeSlots
+  globalAllTimeSlots = slots;
+
+  populateTimeSlotsButtons(quorumFailure); // Populates buttons based on globalAllTimeSlots
 
   // Handle default selection for time slots if none is selected
   if (globalAllTimeSlots.length > 0 && 
@@ -1472,23 +1460,19 @@ function updateAvailabilitySummary() {
   // Determine targetSimulatedUtcTime from the selected slot button
   if (globalSelectedTimeSlotIndex !== -1 && globalAllTimeSlots[globalSelectedTimeSlotIndex]) {
       const selectedSlot = globalAllTimeSlots[globalSelectedTimeSlotIndex];
-      targetSimulatedUtcTime = baseUtcStartOfDay.startOf('day').plus({ minutes: selectedSlot.startMinute });
+      targetSimulatedUtcTime = baseUtcStartOfDay.plus({ minutes: selectedSlot.startMinute });
       targetSimulatedCount = selectedSlot.count;
       targetSimulatedStartMinute = selectedSlot.startMinute;
       targetSimulatedEndMinute = selectedSlot.endMinute;
       targetSimulatedRangeLength = selectedSlot.rangeLengthMinutes;
+      targetSimulatedSlot = selectedSlot;
   } else {
       targetSimulatedUtcTime = nowUtc; // Fallback to current UTC if no slot selected or available
       // For fallback, we need to calculate count if it's not from a slot
       let fallbackCount = 0;
-      const peopleConsideredForFallback = peopleForCalculation.filter(p => 
-          !(selectedPeopleFilter.get(p.username) === 'online' && !p.canEverBeAvailable)
-      );
+      const peopleConsideredForFallback = peopleForCalculation.filter(p => getAttendanceRole(p.id) !== 'excluded');
       for (const person of peopleConsideredForFallback) {
-           const personLocalTime = targetSimulatedUtcTime.plus({ hours: person.effectiveOffsetHours });
-          const localMinutes = personLocalTime.hour * 60 + personLocalTime.minute;
-          const localDayOfWeek = personLocalTime.weekday;
-          if (isPersonAvailableAtLocalTime(person, localMinutes, localDayOfWeek)) {
+          if (isPersonAvailableAt(person, targetSimulatedUtcTime.toMillis())) {
               fallbackCount++;
           }
       }
@@ -1498,26 +1482,29 @@ function updateAvailabilitySummary() {
       targetSimulatedRangeLength = 1;
   }
 
-  // Populate peopleToRenderInMainLists based on `targetSimulatedUtcTime`
-  let peopleToRenderInMainLists = rows.map(tr => { // Use all rows, not just calculable
-      const usernameInput = tr.cells[1].querySelector('input');
-      const username = usernameInput ? usernameInput.value.trim() : '';
-      const iconImg = tr.cells[0].querySelector('img.icon-preview');
-      const iconSrc = iconImg && iconImg.style.display !== 'none' ? iconImg.src : ''; 
-      const noteInput = tr.cells[2].querySelector('textarea'); 
-      const note = noteInput ? noteInput.value.trim() : ''; 
-
-      const timezoneUnset = tr.dataset.timezoneUnset === 'true';
-      const isDstInput = tr.cells[3].querySelector('input');
-      const isDst = isDstInput ? isDstInput.checked : false;
-      const utcOffsetSelect = tr.cells[4].querySelector('select');
-      const utcOffset = utcOffsetSelect ? parseInt(utcOffsetSelect.value) : 0;
-      let effectiveOffsetHours = 0;
-      if (!timezoneUnset) effectiveOffsetHours = utcOffset + (isDst ? 1 : 0);
-
-      const availabilityRules = getPersonAvailabilityRulesFromRow(tr);
+  // A moment clicked on the weekly heatmap takes precedence for the summary lists
+  const listSimulatedUtcTime = globalHeatmapSelectedUtcTime || targetSimulatedUtcTime;
+  const simulatedTimeNote = document.getElementById('summary-simulated-time');
+  if (globalHeatmapSelectedUtcTime) {
+      simulatedTimeNote.textContent = `Showing status at ${toZoneWallTime(getViewerTimezone(), globalHeatmapSelectedUtcTime).toFormat('ccc d LLL HH:mm')} (your time) — click the heatmap cell again to clear.`;
+  } else {
+      simulatedTimeNote.textContent = '';
+  }
+
+  // Populate peopleToRenderInMainLists based on `listSimulatedUtcTime`
+  let peopleToRenderInMainLists = rosterPeople.map(person => { // Everyone in the group, not just calculable
+      const username = (person.username || '').trim();
+      const iconSrc = person.iconSrc || '';
+      const note = (person.note || '').trim();
+
+      const timezoneUnset = !!person.timezoneUnset;
+      const timezone = person.timezone || 'UTC';
+
+      const availabilityRules = person.availableTimes;
+      const exceptions = person.exceptions || [];
 
       let isAvailable = false;
+      let isPreferred = false;
       let statusText = '';
       let effectiveType = '';
 
@@ -1527,7 +1514,7 @@ function updateAvailabilitySummary() {
           effectiveType = 'n/a';
       } else {
           // Calculate local time for the current person based on `targetSimulatedUtcTime`
-          const personLocalTime = targetSimulatedUtcTime.plus({ hours: effectiveOffsetHours });
+          const personLocalTime = toZoneWallTime(timezone, listSimulatedUtcTime);
           const localMinutes = personLocalTime.hour * 60 + personLocalTime.minute;
           const localDayOfWeek = personLocalTime.weekday; 
           const currentDayNameForProcess = personLocalTime.weekdayLong;
@@ -1536,22 +1523,23 @@ function updateAvailabilitySummary() {
               localMinutes, 
               localDayOfWeek, 
               availabilityRules, 
-              currentDayNameForProcess
+              currentDayNameForProcess,
+              exceptions,
+              personLocalTime.toISODate()
           );
           isAvailable = result.isAvailable;
+          isPreferred = result.isPreferred;
           statusText = result.statusText;
           effectiveType = result.effectiveType;
       }
 
-      let usernameDisplay = username;
-      const filterState = selectedPeopleFilter.get(username);
-      if (filterState === 'online') usernameDisplay = `${username} (✓)`;
-      if (filterState === 'offline') usernameDisplay = `${username} (✕)`;
+      const usernameDisplay = `${username}${attendanceRoleSuffix(person.id)}`;
 
       return {
           username: usernameDisplay,
           iconSrc: iconSrc,
           isAvailable: isAvailable,
+          isPreferred: isPreferred,
           statusText: statusText,
           effectiveType: effectiveType,
           note: note
@@ -1561,41 +1549,48 @@ function updateAvailabilitySummary() {
 
 
   // --- Display the "Best Time for Collaboration" section using the `targetSimulated` values ---
-  const peopleConsideredForDisplayCount = peopleForCalculation.filter(p => 
-            !(selectedPeopleFilter.get(p.username) === 'online' && !p.canEverBeAvailable)
-        ).length;
+  const peopleConsideredForDisplayCount = peopleForCalculation.filter(p => getAttendanceRole(p.id) !== 'excluded').length;
   
   updateBestTimeDisplay(
       targetSimulatedCount,
       { startMinute: targetSimulatedStartMinute, endMinute: targetSimulatedEndMinute },
       targetSimulatedRangeLength,
       peopleForCalculation,
-      globalSkippedPeople, // This still tracks skipped people from the *overall best* calculation
+      quorumFailure,
       baseUtcStartOfDay,
-      peopleConsideredForDisplayCount
+      peopleConsideredForDisplayCount,
+      targetSimulatedSlot
   );
   
-  // Always display the overall "Worst Time for Collaboration" (this still uses the original calculation logic)
+  // Always display the overall "Worst Time for Collaboration"
   const {
     count: maxOfflineCount,
     range: worstTimeRangeUtc,
     rangeLengthMinutes: worstRangeLength
-  } = calculateWorstAvailabilityTime(peopleForCalculation, selectedPeopleFilter, baseUtcStartOfDay);
+  } = worst;
 
   displayViewerLocalWorstTime(
     maxOfflineCount,
     worstTimeRangeUtc,
     worstRangeLength,
-    peopleForCalculation, 
+    peopleForCalculation.filter(p => getAttendanceRole(p.id) !== 'excluded'),
     baseUtcStartOfDay
   );
 }
 
-// Add a row; if data provided, prefill inputs
+// Add a person to the roster; the table renders their row. If data is provided it prefills the fields.
 function addAvailabilityRow(data = {}) {
-  const tbody = document.querySelector('#availability-table tbody');
+  // New blank people join the group currently being looked at
+  const tags = Array.isArray(data.tags) ? data.tags : (globalSelectedGroup && !data.username ? [globalSelectedGroup] : []);
+  return peopleStore.add({ ...data, tags });
+}
+
+// Build the table row for a person. The row is a view: edits are copied back into the people
+// store, which notifies the filter, summary, autosave and history.
+function createAvailabilityRow(data) {
   const tr = document.createElement('tr');
   tr.draggable = true; // Make the row draggable
+  tr.dataset.personId = data.id;
 
   // Icon cell with file input and preview
   const tdIcon = document.createElement('td');
@@ -1622,7 +1617,7 @@ function addAvailabilityRow(data = {}) {
       img.removeAttribute('src'); // Clear src if no file selected
       img.dataset.base64Src = ''; // Clear stored base64 data
       img._url = null;
-      updateAvailabilitySummary();
+      syncRowToStore();
       return;
     }
 
@@ -1636,7 +1631,7 @@ function addAvailabilityRow(data = {}) {
     reader.onload = () => {
       img.dataset.base64Src = reader.result; // Store the base64 string
       img.style.display = 'inline-block';
-      updateAvailabilitySummary(); // Update summary after icon fully loads/is set
+      syncRowToStore(); // Only now is there something to save
     };
     reader.readAsDataURL(file);
   });
@@ -1646,13 +1641,17 @@ function addAvailabilityRow(data = {}) {
 
   // Username (index 1)
   const tdUser = document.createElement('td');
+  tdUser.className = 'username-cell';
   const inputUser = document.createElement('input');
   inputUser.type = 'text';
   inputUser.placeholder = 'Username';
   if (data.username) inputUser.value = data.username;
-  inputUser.addEventListener('input', updateAvailabilitySummary);
-  inputUser.addEventListener('blur', updateAvailabilitySummary);
   tdUser.appendChild(inputUser);
+  // Filled in by updateDuplicateUsernameWarnings
+  const duplicateWarning = document.createElement('div');
+  duplicateWarning.className = 'duplicate-username-warning';
+  duplicateWarning.style.display = 'none';
+  tdUser.appendChild(duplicateWarning);
   tr.appendChild(tdUser);
 
   // Notes cell (index 2)
@@ -1669,6 +1668,7 @@ function addAvailabilityRow(data = {}) {
   noteInput.placeholder = 'Add a note...';
   noteInput.value = data.note || '';
   noteInput.style.display = 'none'; // Hidden by default
+  let committedNote = data.note || ''; // The textarea is a draft until Save
 
   const toggleNoteBtn = document.createElement('button');
   toggleNoteBtn.className = 'toggle-note-btn';
@@ -1697,7 +1697,8 @@ function addAvailabilityRow(data = {}) {
     noteInput.style.display = 'none';
     saveNoteBtn.style.display = 'none';
     toggleNoteBtn.textContent = noteInput.value ? 'Edit Note' : 'Add Note';
-    updateAvailabilitySummary();
+    committedNote = noteInput.value;
+    syncRowToStore();
   });
 
   toggleNoteBtn.addEventListener('click', () => {
@@ -1705,11 +1706,10 @@ function addAvailabilityRow(data = {}) {
       enterEditMode();
     } else { // Currently in edit mode, canceling
       noteInput.style.display = 'none';
-      noteDisplay.textContent = data.note || 'No note added. Click to add.'; // Revert to initial loaded note
+      noteDisplay.textContent = committedNote || 'No note added. Click to add.'; // Revert to the last saved note
       noteDisplay.style.display = 'block';
       saveNoteBtn.style.display = 'none';
-      toggleNoteBtn.textContent = data.note ? 'Edit Note' : 'Add Note';
-      updateAvailabilitySummary(); // Still update summary, in case cancelling changed content to 'No note'
+      toggleNoteBtn.textContent = committedNote ? 'Edit Note' : 'Add Note';
     }
   });
 
@@ -1720,33 +1720,22 @@ function addAvailabilityRow(data = {}) {
   tr.appendChild(tdNote);
 
 
-  // DST (index 3)
-  const inputDst = document.createElement('input');
-  const tdDst = document.createElement('td');
-  inputDst.type = 'checkbox';
-  if (data.dst) inputDst.checked = true;
-  inputDst.addEventListener('change', updateAvailabilitySummary); // Update on change
-  tdDst.appendChild(inputDst);
-  tr.appendChild(tdDst);
+  // Timezone selection (index 3)
+  const tdTimezone = document.createElement('td');
+  let initialTimezone = data.timezone;
+  if (!isValidTimezone(initialTimezone)) {
+    // Older files only stored a whole-hour offset plus a manual DST flag
+    initialTimezone = data.utcOffset !== undefined
+      ? legacyOffsetToTimezone(data.utcOffset, data.dst)
+      : DateTime.local().zoneName;
+  }
+  const selectTimezone = createTimezoneSelect(initialTimezone);
+  tdTimezone.appendChild(selectTimezone);
+  tr.appendChild(tdTimezone);
 
-  // UTC Offset selection (index 4)
-  const tdUtc = document.createElement('td');
-  const selectUtcOffset = document.createElement('select');
-  for (let offset = -12; offset <= 14; offset++) {
-    const option = document.createElement('option');
-    option.value = offset;
-    option.textContent = offset === 0 ? 'UTC±0' : `UTC${offset > 0 ? '+' : ''}${offset}`;
-    selectUtcOffset.appendChild(option);
-  }
-  if (data.utcOffset !== undefined) {
-    selectUtcOffset.value = data.utcOffset;
-  }
-  selectUtcOffset.addEventListener('change', updateAvailabilitySummary); // Update on change
-  tdUtc.appendChild(selectUtcOffset);
-  tr.appendChild(tdUtc);
-
-  // Available Times Cell (index 5)
+  // Available Times Cell (index 4)
   const tdAvail = document.createElement('td');
+  tdAvail.className = 'available-times-cell';
 
   // Main availability section (for 'specific', 'n/a', 'unpredictable', 'mostlyFree', 'always', 'weekendWeekdays', 'customDays')
   const mainAvailSection = createAvailabilitySectionElements('specific', '09:00', '17:00', true); // Pass true to include top-level options
@@ -1835,78 +1824,51 @@ function addAvailabilityRow(data = {}) {
     } else {
       mainAvailSection.container.style.display = 'flex';
       // Ensure default times if they were cleared and it's a range-based type
-      if (selectedType === 'specific' || selectedType === 'unpredictable' || selectedType === 'mostlyFree') {
-          if (!mainAvailSection.startTimeInput.value && !mainAvailSection.endTimeInput.value) {
-              mainAvailSection.startTimeInput.value = '09:00';
-              mainAvailSection.endTimeInput.value = '17:00';
+      if (RANGE_TYPES.includes(selectedType)) {
+          if (readAvailabilitySection(mainAvailSection.container).ranges.length === 0) {
+              mainAvailSection.setRanges([mainAvailSection.defaultRange]);
           }
       }
       weekendWeekdayInputsGroup.style.display = 'none';
       customDaysInputsGroup.style.display = 'none';
     }
-    updateAvailabilitySummary();
+    notifyRowEdited(tdAvail);
   };
 
   // Set initial values and display based on data (handling old and new formats)
-  // Data structure: { type: 'specific', value: '09:00-17:00' } OR { type: 'weekendWeekdays', weekdays: { type: 'specific', value: '...' }, weekends: { type: 'specific', value: '...' } }
-  // OR { type: 'customDays', dailyRanges: [...] }
+  // Data structure: { type: 'specific', value: '09:00-17:00', ranges: ['09:00-12:00', '13:00-17:00'] }
+  // OR { type: 'weekendWeekdays', weekdays: { type: 'specific', ranges: [...] }, weekends: { type: 'specific', ranges: [...] } }
+  // OR { type: 'customDays', dailyRanges: [...] }. Files without `ranges` fall back to the single `value`.
+  const applyRuleToSection = (section, rule) => {
+      section.select.value = rule.type || 'specific';
+      const ranges = getRuleRanges(rule);
+      if (ranges.length > 0) section.setRanges(ranges, getRulePreferredRanges(rule));
+      section.updateVisibility(); // Hides (and clears) the ranges for non-range types
+  };
+
   if (data.availableTimes) {
     mainAvailSection.select.value = data.availableTimes.type || 'specific'; // Default to specific if type is missing
 
     if (data.availableTimes.type === 'weekendWeekdays') {
-        if (data.availableTimes.weekdays) {
-            weekdaySection.select.value = data.availableTimes.weekdays.type || 'specific';
-            if (data.availableTimes.weekdays.value) {
-                const [start, end] = data.availableTimes.weekdays.value.split('-');
-                weekdaySection.startTimeInput.value = start || '';
-                weekdaySection.endTimeInput.value = end || '';
-            }
-        }
-        if (data.availableTimes.weekends) {
-            weekendSection.select.value = data.availableTimes.weekends.type || 'specific';
-            if (data.availableTimes.weekends.value) {
-                const [start, end] = data.availableTimes.weekends.value.split('-');
-                weekendSection.startTimeInput.value = start || '';
-                weekendSection.endTimeInput.value = end || '';
-            }
-        }
+        if (data.availableTimes.weekdays) applyRuleToSection(weekdaySection, data.availableTimes.weekdays);
+        if (data.availableTimes.weekends) applyRuleToSection(weekendSection, data.availableTimes.weekends);
     } else if (data.availableTimes.type === 'customDays') { // New logic for customDays data loading
         if (data.availableTimes.dailyRanges && data.availableTimes.dailyRanges.length === 7) {
             data.availableTimes.dailyRanges.forEach((dayData, index) => {
-                if (dailySections[index]) {
-                    dailySections[index].select.value = dayData.type || 'specific';
-                    if (dayData.value) {
-                        const [start, end] = dayData.value.split('-');
-                        dailySections[index].startTimeInput.value = start || '';
-                        dailySections[index].endTimeInput.value = end || '';
-                    }
-                }
+                if (dailySections[index]) applyRuleToSection(dailySections[index], dayData);
             });
         }
     }
     else { // Handle specific, n/a, unpredictable, mostlyFree, always
-        if (data.availableTimes.value) {
-            const [start, end] = data.availableTimes.value.split('-');
-            mainAvailSection.startTimeInput.value = start || '';
-            mainAvailSection.endTimeInput.value = end || '';
-        }
+        applyRuleToSection(mainAvailSection, data.availableTimes);
     }
   } else {
-    // Default for new rows or no data
+    // Default for new rows or no data (each section was created with its own default range)
     mainAvailSection.select.value = 'specific';
-    mainAvailSection.startTimeInput.value = '09:00';
-    mainAvailSection.endTimeInput.value = '17:00';
     weekdaySection.select.value = 'specific';
-    weekdaySection.startTimeInput.value = '09:00';
-    weekdaySection.endTimeInput.value = '17:00';
     weekendSection.select.value = 'specific';
-    weekendSection.startTimeInput.value = '10:00';
-    weekendSection.endTimeInput.value = '18:00';
-    // Set defaults for custom days as well (they're already set during creation, just ensure values are present)
     dailySections.forEach(section => {
         section.select.value = 'specific';
-        section.startTimeInput.value = section.startTimeInput.defaultValue;
-        section.endTimeInput.value = section.endTimeInput.defaultValue;
     });
   }
 
@@ -1920,7 +1882,31 @@ function addAvailabilityRow(data = {}) {
 
   tr.appendChild(tdAvail);
 
-  // NEW: Timezone Actions cell (index 6)
+  // Dated exceptions cell (index 5)
+  const tdExceptions = document.createElement('td');
+  tdExceptions.className = 'exceptions-cell';
+  tdExceptions.appendChild(createExceptionsEditor(data.exceptions || []));
+  tr.appendChild(tdExceptions);
+
+  // Tags cell (index 6): comma-separated groups such as "raid team, EU"
+  const tdTags = document.createElement('td');
+  tdTags.className = 'tags-cell';
+  const tagsInput = document.createElement('input');
+  tagsInput.type = 'text';
+  tagsInput.className = 'tags-input';
+  tagsInput.placeholder = 'e.g. raid team, EU';
+  // Tags only count once the field is left, so a half-typed tag never hides the row
+  let committedTags = parseTags((data.tags || []).join(','));
+  tagsInput.value = committedTags.join(', ');
+  tagsInput.addEventListener('change', () => {
+      committedTags = parseTags(tagsInput.value);
+      tagsInput.value = committedTags.join(', ');
+      syncRowToStore();
+  });
+  tdTags.appendChild(tagsInput);
+  tr.appendChild(tdTags);
+
+  // NEW: Timezone Actions cell (index 7)
   const tdTimezoneActions = document.createElement('td');
   tdTimezoneActions.className = 'timezone-actions-cell';
 
@@ -1935,175 +1921,1066 @@ function addAvailabilityRow(data = {}) {
 
   const toggleTimezoneInputs = (unset = false) => {
       tr.dataset.timezoneUnset = unset ? 'true' : 'false';
-      inputDst.disabled = unset;
-      selectUtcOffset.disabled = unset;
+      selectTimezone.disabled = unset;
       unsetTimezoneBtn.style.display = unset ? 'none' : 'inline-block';
       setTimezoneBtn.style.display = unset ? 'inline-block' : 'none';
       if (unset) {
           tdUser.classList.add('timezone-unset-visual');
-          tdDst.classList.add('timezone-unset-visual');
-          tdUtc.classList.add('timezone-unset-visual');
+          tdTimezone.classList.add('timezone-unset-visual');
       } else {
           tdUser.classList.remove('timezone-unset-visual');
-          tdDst.classList.remove('timezone-unset-visual');
-          tdUtc.classList.remove('timezone-unset-visual');
+          tdTimezone.classList.remove('timezone-unset-visual');
       }
-      updateAvailabilitySummary();
   };
 
-  unsetTimezoneBtn.addEventListener('click', () => toggleTimezoneInputs(true));
-  setTimezoneBtn.addEventListener('click', () => toggleTimezoneInputs(false));
+  unsetTimezoneBtn.addEventListener('click', () => {
+      recordHistory(); // Keep a pending edit as its own step
+      toggleTimezoneInputs(true);
+      syncRowToStore();
+      recordHistory(`Unset timezone of ${inputUser.value.trim() || 'a row'}`);
+  });
+  setTimezoneBtn.addEventListener('click', () => {
+      recordHistory();
+      toggleTimezoneInputs(false);
+      syncRowToStore();
+      recordHistory(`Set timezone of ${inputUser.value.trim() || 'a row'}`);
+  });
 
   tdTimezoneActions.appendChild(unsetTimezoneBtn);
   tdTimezoneActions.appendChild(setTimezoneBtn);
   tr.appendChild(tdTimezoneActions);
 
-  // Action (delete) (index 7)
+  // Action (delete) (index 8)
   const tdAction = document.createElement('td');
   const btn = document.createElement('button');
   btn.textContent = 'Delete';
   btn.addEventListener('click', () => {
-    // revoke any object URL when deleting
-    if (img._url) URL.revokeObjectURL(img._url); // Clean up blob URL
-    tr.remove();
-    populatePeopleFilter(); // Update filter options after deletion, which also updates summary
+    recordHistory(); // Keep a pending edit as its own step
+    peopleStore.remove(data.id); // The table removes the row (and revokes its icon URL)
+    // No confirmation: the toast offers an undo instead
+    const label = `Deleted ${inputUser.value.trim() || 'an empty row'}`;
+    recordHistory(label);
+    showToast(label, 'Undo', undoHistory);
   });
   tdAction.appendChild(btn);
   tr.appendChild(tdAction);
 
-  tbody.appendChild(tr);
-
   // Apply initial timezone unset state if loaded from data
   if (data.timezoneUnset) {
       toggleTimezoneInputs(true);
   }
 
+  // Everything the row shows, in the people store's shape
+  const readRow = () => ({
+      username: inputUser.value,
+      note: committedNote,
+      timezone: selectTimezone.value, // IANA zone (e.g. 'Europe/Berlin') or fixed offset (e.g. 'UTC+5')
+      timezoneUnset: tr.dataset.timezoneUnset === 'true',
+      availableTimes: getPersonAvailabilityRulesFromRow(tr),
+      exceptions: getPersonExceptionsFromRow(tr), // Dated overrides of the weekly rules
+      tags: committedTags,
+      iconSrc: img.dataset.base64Src || ''
+  });
+  function syncRowToStore() {
+      peopleStore.update(data.id, readRow(), { origin: 'table' });
+  }
+
+  tr.addEventListener('input', syncRowToStore);
+  tr.addEventListener('change', syncRowToStore);
+  tr.addEventListener('row-edited', syncRowToStore);
+
+  // Older files (whole-hour offsets, single-range values) are read back in today's shape
+  peopleStore.update(data.id, readRow(), { origin: 'table', silent: true });
+
   return tr;
 }
 
+// Keeps the table body in step with the people store
+function renderAvailabilityTableChange(change) {
+  const tbody = document.querySelector('#availability-table tbody');
+  const rowFor = (id) => tbody.querySelector(`tr[data-person-id="${id}"]`);
+  const removeRow = (tr) => {
+      const img = tr.querySelector('img.icon-preview');
+      if (img && img._url) URL.revokeObjectURL(img._url); // Clean up blob URL
+      tr.remove();
+  };
+
+  switch (change.type) {
+      case 'add': {
+          const tr = createAvailabilityRow(change.person);
+          tbody.insertBefore(tr, tbody.children[change.index] || null);
+          break;
+      }
+      case 'update': {
+          // The row already shows its own edits; anything else gets a freshly rendered row
+          const tr = rowFor(change.person.id);
+          if (tr && change.origin !== 'table') tr.replaceWith(createAvailabilityRow(change.person));
+          break;
+      }
+      case 'remove': {
+          const tr = rowFor(change.person.id);
+          if (tr) removeRow(tr);
+          break;
+      }
+      case 'move':
+          peopleStore.getAll().forEach(person => {
+              const tr = rowFor(person.id);
+              if (tr) tbody.appendChild(tr);
+          });
+          break;
+      case 'reset':
+          Array.from(tbody.children).forEach(removeRow);
+          change.people.forEach(person => tbody.appendChild(createAvailabilityRow(person)));
+          break;
+  }
+  if (isReadOnlyView) lockAvailabilityTable();
+  applyGroupFilterToTable();
+  updateDuplicateUsernameWarnings();
+}
+
+// Two rows with the same name (ignoring case and spaces) are allowed, since people are told apart
+// by id, but they look the same in the filter and summary lists, so both rows get a warning
+function updateDuplicateUsernameWarnings() {
+  const people = peopleStore.getAll();
+  const rowNumbersByName = new Map();
+  people.forEach((person, index) => {
+      const name = normalizeUsername(person.username);
+      if (name) rowNumbersByName.set(name, [...(rowNumbersByName.get(name) || []), index + 1]);
+  });
+  people.forEach((person, index) => {
+      const tr = document.querySelector(`#availability-table tbody tr[data-person-id="${person.id}"]`);
+      if (!tr) return;
+      const otherRows = (rowNumbersByName.get(normalizeUsername(person.username)) || []).filter(number => number !== index + 1);
+      const warning = tr.querySelector('.duplicate-username-warning');
+      tr.querySelector('.username-cell input').classList.toggle('duplicate-username', otherRows.length > 0);
+      warning.textContent = otherRows.length > 0 ? `Same name as row ${otherRows.join(', ')}` : '';
+      warning.style.display = otherRows.length > 0 ? 'block' : 'none';
+  });
+}
+
+// Read-only view: the rows stay visible but none of their fields can be changed
+function lockAvailabilityTable() {
+  const tbody = document.querySelector('#availability-table tbody');
+  tbody.querySelectorAll('input, select, textarea, button').forEach(control => {
+      control.disabled = true;
+  });
+  tbody.querySelectorAll('tr').forEach(tr => {
+      tr.draggable = false;
+  });
+}
+
+// Collect the table, embeds and filter state into the structure written by saveToFile
+function collectAvailabilityData() {
+  const peopleData = peopleStore.getAll().map(person => ({
+    id: person.id, // Filters are keyed by it
+    username: person.username || '',
+    note: person.note || '', // Save the note
+    timezone: person.timezone, // IANA zone (e.g. 'Europe/Berlin') or fixed offset (e.g. 'UTC+5')
+    availableTimes: person.availableTimes,
+    exceptions: person.exceptions || [], // Dated overrides of the weekly rules
+    tags: person.tags || [],
+    iconSrc: person.iconSrc || '',
+    timezoneUnset: !!person.timezoneUnset // Save timezone unset state
+  }));
+
+  // NEW: Get Discord Embed data: the dashboard's widget slots in grid order (code already sanitized)
+  const embedData = embedWidgets.map(widget => ({ ...widget }));
+
+  const dataToSave = {
+      version: SAVE_FORMAT_VERSION,
+      people: peopleData,
+      embeds: embedData,
+      // Save the filter state too: attendance roles and the quorum
+      selectedPeopleFilter: Array.from(selectedPeopleFilter.entries()),
+      quorum: globalQuorumSize,
+      selectedGroup: globalSelectedGroup
+  };
+  return dataToSave;
+}
+
 // Save current availability table to JSON file
 function saveToFile() {
-  const rows = Array.from(document.querySelectorAll('#availability-table tbody tr'));
-  const peopleData = rows.map(tr => {
-    // Update column indices based on new layout
-    const inputUser = tr.cells[1].querySelector('input');
-    const noteInput = tr.cells[2].querySelector('textarea'); // New notes column
-    const inputDst  = tr.cells[3].querySelector('input'); // Old index 2
-    const selectUtcOffset = tr.cells[4].querySelector('select'); // Old index 3
-    
-    // Get the full availability rules for this person (old index 4, now 5)
-    const availableTimesData = getPersonAvailabilityRulesFromRow(tr);
+  const dataToSave = collectAvailabilityData();
+  downloadTextFile(JSON.stringify(dataToSave, null, 2), 'availability.json', 'application/json');
+}
 
-    const iconImg = tr.cells[0].querySelector('img.icon-preview');
-    const iconSrc = iconImg ? (iconImg.dataset.base64Src || '') : ''; 
+// Load availability data from selected JSON file
+function loadFromFile(event) {
+  const file = event.target.files[0];
+  if (!file) return;
+  const reader = new FileReader();
+  reader.onload = () => {
+    let loadedFileContent;
+    try {
+      loadedFileContent = JSON.parse(reader.result);
+    } catch (err) {
+      openLoadReportModal(file.name, [], `This is not a roster file (${err.message}).`);
+      return;
+    }
+    try {
+      recordHistory(); // Keep a pending edit as its own step
+      const report = applyAvailabilityData(loadedFileContent);
+      recordHistory(`Loaded ${file.name}`);
+      if (report.length > 0) openLoadReportModal(file.name, report);
+    } catch (err) {
+      if (!(err instanceof SaveFormatError)) throw err;
+      openLoadReportModal(file.name, [], err.message); // Nothing was changed
+    }
+  };
+  reader.readAsText(file);
+  event.target.value = ''; // reset input so same file can be loaded again
+}
 
-    // Get timezone unset state
-    const timezoneUnset = tr.dataset.timezoneUnset === 'true';
+// Options for readSaveData: timezones are checked with Luxon, unknown ones fall back to the system zone
+function getSaveFormatOptions() {
+  return { isValidTimezone, legacyOffsetToTimezone, defaultTimezone: DateTime.local().zoneName };
+}
 
-    return {
-      username: inputUser.value,
-      note: noteInput.value, // Save the note
-      dst: inputDst.checked,
-      utcOffset: selectUtcOffset.value,
-      availableTimes: availableTimesData,
-      iconSrc: iconSrc,
-      timezoneUnset: timezoneUnset // Save timezone unset state
-    };
+// Replace the table, embeds and filter state with saved data (a loaded file or a stored workspace).
+// Older formats are migrated and broken fields repaired first; returns readSaveData's report.
+// Throws SaveFormatError, before changing anything, when there is no roster in the data.
+function applyAvailabilityData(savedData) {
+  const { data: loadedFileContent, report } = readSaveData(savedData, getSaveFormatOptions());
+  const peopleData = loadedFileContent.people;
+  const loadedFilterState = loadedFileContent.selectedPeopleFilter;
+
+  report.push(...applyEmbedData(loadedFileContent.embeds));
+
+  // Restore filter state (roles were normalized by readSaveData)
+  selectedPeopleFilter.clear();
+  loadedFilterState.forEach(([personId, role]) => {
+      selectedPeopleFilter.set(personId, role);
+  });
+  globalQuorumSize = loadedFileContent.quorum;
+  document.getElementById('quorum-size').value = globalQuorumSize || '';
+  globalSelectedGroup = loadedFileContent.selectedGroup; // Dropped by populateGroupSelector if no one has the tag
+
+  // Filters are restored first so the store's reset event (table, filter options, summary) sees them
+  peopleStore.replaceAll(peopleData);
+  return report;
+}
+
+// Show a saved embed dashboard (widgets as validated by readSaveData), with each widget's code
+// reduced to what embed-sanitizer.js allows. Returns load report entries for whatever was stripped.
+function applyEmbedData(embedsData) {
+  const report = [];
+  embedWidgets = embedsData.map((widget, index) => {
+      const { html, stripped } = sanitizeEmbedHtml(widget.code, embedHosts, location.hostname);
+      const label = widget.title ? `"${widget.title}" widget` : `Widget ${index + 1}`;
+      stripped.forEach(item => {
+          report.push({ person: '', field: 'embeds', action: 'rejected', message: `${label}: removed ${item}` });
+      });
+      return { ...widget, code: html };
   });
+  renderEmbedDashboard();
+  return report;
+}
+
+// --- Load report: what readSaveData migrated, repaired, defaulted or rejected in a loaded file ---
+const loadReportModal = document.getElementById('load-report-modal');
+
+// `fatalMessage` is set when the file could not be loaded at all; `peopleCount` is how many people it had
+function openLoadReportModal(fileName, report, fatalMessage = '', peopleCount = peopleStore.getAll().length) {
+  document.getElementById('load-report-title').textContent = fatalMessage ? `Could not load ${fileName}` : `Loaded ${fileName}`;
 
-  // NEW: Get Discord Embed data
-  const embedData = {
-      left: '',
-      right: ''
+  const counts = { repaired: 0, defaulted: 0, rejected: 0 };
+  report.forEach(entry => {
+      if (entry.action in counts) counts[entry.action]++;
+  });
+  const countText = Object.entries(counts)
+      .filter(([, count]) => count > 0)
+      .map(([action, count]) => `${count} ${action}`)
+      .join(', ');
+  document.getElementById('load-report-summary').textContent = fatalMessage ||
+      `${peopleCount} ${peopleCount === 1 ? 'person' : 'people'} loaded.` + (countText ? ` Fields ${countText}.` : '');
+
+  // One entry per person (the file itself first), listing what happened to each field
+  const list = document.getElementById('load-report-list');
+  list.innerHTML = '';
+  const byPerson = new Map();
+  report.forEach(entry => {
+      if (!byPerson.has(entry.person)) byPerson.set(entry.person, []);
+      byPerson.get(entry.person).push(entry);
+  });
+  byPerson.forEach((entries, person) => {
+      const li = document.createElement('li');
+      const name = document.createElement('strong');
+      name.textContent = person || 'File';
+      li.appendChild(name);
+      const details = document.createElement('ul');
+      entries.forEach(entry => {
+          const item = document.createElement('li');
+          const badge = document.createElement('span');
+          badge.className = `load-report-action load-report-${entry.action}`;
+          badge.textContent = entry.action;
+          item.appendChild(badge);
+          item.appendChild(document.createTextNode(entry.person && entry.field ? ` ${entry.field}: ${entry.message}` : ` ${entry.message}`));
+          details.appendChild(item);
+      });
+      li.appendChild(details);
+      list.appendChild(li);
+  });
+  list.style.display = report.length > 0 ? 'block' : 'none';
+  loadReportModal.style.display = 'flex';
+}
+
+function closeLoadReportModal() {
+  loadReportModal.style.display = 'none';
+}
+
+// --- Merging another file into the roster, person by person ---
+const mergeModal = document.getElementById('merge-modal');
+let pendingMerge = null; // { fileName, data, report, plan } while the merge dialog is open
+
+function mergeFromFile(event) {
+  const file = event.target.files[0];
+  if (!file) return;
+  const reader = new FileReader();
+  reader.onload = () => {
+    try {
+      const { data, report } = readSaveData(JSON.parse(reader.result), getSaveFormatOptions());
+      openMergeModal(file.name, data, report);
+    } catch (err) {
+      if (!(err instanceof SaveFormatError) && !(err instanceof SyntaxError)) throw err;
+      openLoadReportModal(file.name, [], err instanceof SyntaxError ? `This is not a roster file (${err.message}).` : err.message);
+    }
   };
+  reader.readAsText(file);
+  event.target.value = ''; // reset input so same file can be merged again
+}
+
+function openMergeModal(fileName, data, report) {
+  const plan = planRosterMerge(peopleStore.getAll(), data.people);
+  pendingMerge = { fileName, data, report, plan };
+
+  document.getElementById('merge-title').textContent = `Merge ${fileName}`;
+  const plural = (count, one, many) => `${count} ${count === 1 ? one : many}`;
+  document.getElementById('merge-summary').textContent =
+      `${plural(plan.added.length, 'new person', 'new people')} will be added, ` +
+      `${plural(plan.unchanged.length, 'person is', 'people are')} already the same here` +
+      (plan.conflicts.length > 0 ? `, and ${plural(plan.conflicts.length, 'person differs', 'people differ')}:` : '.');
+
+  // One block per person who differs: their changed fields side by side, and what to do about them
+  const conflictsContainer = document.getElementById('merge-conflicts');
+  conflictsContainer.innerHTML = '';
+  plan.conflicts.forEach((conflict, index) => {
+    const block = document.createElement('div');
+    block.className = 'merge-conflict';
+    const name = document.createElement('h5');
+    name.textContent = conflict.mine.username;
+    block.appendChild(name);
+
+    const table = document.createElement('table');
+    table.className = 'merge-diff';
+    const headRow = table.insertRow();
+    ['', 'Mine', 'Theirs'].forEach(text => {
+      const th = document.createElement('th');
+      th.textContent = text;
+      headRow.appendChild(th);
+    });
+    conflict.fields.forEach(field => {
+      const row = table.insertRow();
+      [field.label, field.mine, field.theirs].forEach(text => {
+        row.insertCell().textContent = text;
+      });
+    });
+    block.appendChild(table);
+
+    const choices = document.createElement('div');
+    choices.className = 'merge-choices';
+    [['mine', 'Keep mine'], ['theirs', 'Take theirs'], ['both', 'Keep both']].forEach(([value, text]) => {
+      const label = document.createElement('label');
+      const radio = document.createElement('input');
+      radio.type = 'radio';
+      radio.name = `merge-choice-${index}`;
+      radio.value = value;
+      radio.checked = value === 'mine';
+      label.appendChild(radio);
+      label.appendChild(document.createTextNode(` ${text}`));
+      choices.appendChild(label);
+    });
+    block.appendChild(choices);
+    conflictsContainer.appendChild(block);
+  });
+  conflictsContainer.style.display = plan.conflicts.length > 0 ? 'block' : 'none';
+
+  document.getElementById('merge-take-embeds').checked = false;
+  document.getElementById('merge-take-filters').checked = false;
+  mergeModal.style.display = 'flex';
+}
 
-  const leftSpot = document.getElementById('embed-spot-left');
-  const rightSpot = document.getElementById('embed-spot-right');
+function closeMergeModal() {
+  mergeModal.style.display = 'none';
+  pendingMerge = null;
+}
+
+// Applies the merge as a single undo step. People kept twice get a numbered name so the rows
+// can be told apart; their filter entries follow them to whichever row they end up in.
+function applyMerge() {
+  const { fileName, data, report, plan } = pendingMerge;
+  const choices = plan.conflicts.map((_, index) =>
+      document.querySelector(`#merge-conflicts input[name="merge-choice-${index}"]:checked`).value);
+  const takeEmbeds = document.getElementById('merge-take-embeds').checked;
+  const takeFilters = document.getElementById('merge-take-filters').checked;
+  closeMergeModal();
+  recordHistory(); // Keep a pending edit as its own step
+
+  const takenNames = new Set(peopleStore.getAll().map(person => normalizeUsername(person.username)));
+  const idsHere = new Map(); // Their person id => the id of the row it ended up in
+  plan.unchanged.forEach(({ mine, theirs }) => idsHere.set(theirs.id, mine.id));
+  const addPerson = (person) => {
+    const username = makeUniqueUsername(person.username, takenNames);
+    takenNames.add(normalizeUsername(username));
+    idsHere.set(person.id, addAvailabilityRow({ ...person, username }).id); // Their id is kept when free
+  };
+  let updatedCount = 0;
+  plan.conflicts.forEach((conflict, index) => {
+    if (choices[index] === 'theirs') {
+      const patch = {};
+      MERGED_PERSON_KEYS.forEach(key => {
+        patch[key] = conflict.theirs[key];
+      });
+      // A name that only differs in case or spaces is not a rename; keep mine
+      if (!conflict.fields.some(field => field.key === 'username')) delete patch.username;
+      peopleStore.update(conflict.mine.id, patch);
+      idsHere.set(conflict.theirs.id, conflict.mine.id);
+      updatedCount++;
+    } else if (choices[index] === 'both') {
+      addPerson(conflict.theirs);
+    } else {
+      idsHere.set(conflict.theirs.id, conflict.mine.id);
+    }
+  });
+  plan.added.forEach(addPerson);
 
-  // Check if content is actual embed or placeholder message.
-  // A simple way is to check if it contains the placeholder class.
-  if (!leftSpot.querySelector('.placeholder-message')) {
-      embedData.left = leftSpot.innerHTML;
+  if (takeEmbeds) report.push(...applyEmbedData(data.embeds));
+  if (takeFilters) {
+    data.selectedPeopleFilter.forEach(([personId, role]) => {
+      if (idsHere.has(personId)) selectedPeopleFilter.set(idsHere.get(personId), role);
+    });
+    globalQuorumSize = data.quorum;
+    document.getElementById('quorum-size').value = globalQuorumSize || '';
+    globalSelectedGroup = data.selectedGroup;
+    populatePeopleFilter();
   }
-  if (!rightSpot.querySelector('.placeholder-message')) {
-      embedData.right = rightSpot.innerHTML;
+
+  const addedCount = plan.added.length + choices.filter(choice => choice === 'both').length;
+  recordHistory(`Merged ${fileName}`);
+  showToast(`Merged ${fileName}: ${addedCount} added, ${updatedCount} updated`, 'Undo', undoHistory);
+  if (report.some(entry => entry.action !== 'migrated')) {
+    openLoadReportModal(fileName, report, '', data.people.length);
   }
+}
 
-  const dataToSave = {
-      people: peopleData,
-      embeds: embedData,
-      // Save the filter state too
-      selectedPeopleFilter: Array.from(selectedPeopleFilter.entries())
-  };
+// --- Share links and the read-only view they open ---
+const shareLinkModal = document.getElementById('share-link-modal');
+let shareLinkRequestCount = 0; // Only the latest link is shown when the options change quickly
+
+async function updateShareLink() {
+  const request = ++shareLinkRequestCount;
+  const includeIconsAndNotes = document.getElementById('share-include-details').checked;
+  const fragment = await encodeShareFragment(buildSharedRoster(collectAvailabilityData(), { includeIconsAndNotes }));
+  if (request !== shareLinkRequestCount) return;
+
+  const link = `${location.href.split('#')[0]}${fragment}`;
+  document.getElementById('share-link-output').value = link;
+  const lengthText = document.getElementById('share-link-length');
+  const tooLong = link.length > 2000;
+  lengthText.textContent = `${link.length} characters` +
+      (tooLong ? ' — some chat apps cut off links this long; leave out icons and notes or send the file instead.' : '');
+  lengthText.classList.toggle('share-link-too-long', tooLong);
+}
 
-  const blob = new Blob([JSON.stringify(dataToSave, null, 2)], { type: 'application/json' });
+function openShareLinkModal() {
+  document.getElementById('share-link-output').value = '';
+  document.getElementById('share-link-length').textContent = '';
+  shareLinkModal.style.display = 'flex';
+  updateShareLink();
+}
+
+function closeShareLinkModal() {
+  shareLinkModal.style.display = 'none';
+}
+
+function copyShareLink() {
+  const output = document.getElementById('share-link-output');
+  if (!output.value) return;
+  const copied = navigator.clipboard ? navigator.clipboard.writeText(output.value) : Promise.reject();
+  copied.then(() => showToast('Link copied')).catch(() => {
+      output.select(); // Leave it selected for Ctrl+C
+      alert('Could not copy automatically; the link is selected, press Ctrl+C to copy it.');
+  });
+}
+
+// Boots the page from a '#view=…' fragment instead of the workspaces, which stay untouched
+async function openSharedView(hash) {
+  try {
+    const roster = await decodeShareFragment(hash);
+    isReadOnlyView = true;
+    document.body.classList.add('read-only-view');
+    document.getElementById('read-only-banner').style.display = 'flex';
+    applyAvailabilityData(roster); // Whatever readSaveData had to repair is simply shown repaired
+  } catch (err) {
+    isReadOnlyView = false;
+    document.body.classList.remove('read-only-view');
+    document.getElementById('read-only-banner').style.display = 'none';
+    alert(`This share link could not be opened; it may have been cut off when it was copied. (${err.message})`);
+    history.replaceState(null, '', location.pathname + location.search);
+    initWorkspaces();
+  }
+}
+
+// --- CSV export and the CSV import wizard ---
+
+// Offers a download of text as a file (shared by the JSON and CSV exports)
+function downloadTextFile(text, fileName, type) {
+  const blob = new Blob([text], { type });
   const url = URL.createObjectURL(blob);
   const a = document.createElement('a');
   a.href = url;
-  a.download = 'availability.json';
+  a.download = fileName;
   document.body.appendChild(a);
   a.click();
   document.body.removeChild(a);
   URL.revokeObjectURL(url);
 }
 
-// Load availability data from selected JSON file
-function loadFromFile(event) {
+function exportRosterCsv() {
+  downloadTextFile(rosterToCsv(peopleStore.getAll()), 'availability.csv', 'text/csv');
+}
+
+// Timezone cells may hold a zone name or an offset ('+5:30', 'UTC-3', '5.5'). Offsets are read like
+// the legacy utcOffset + DST checkbox; regions apply DST by themselves. Null if unreadable.
+function resolveImportedTimezone(text, dst) {
+  const offsetMinutes = parseUtcOffsetMinutes(text.replace(/^(UTC|GMT)\s*/i, ''));
+  if (!isNaN(offsetMinutes)) {
+    return Math.abs(offsetMinutes) <= 14 * 60 ? fixedOffsetZoneName(offsetMinutes + (dst ? 60 : 0)) : null;
+  }
+  return isValidTimezone(text) ? text : null;
+}
+
+const csvImportModal = document.getElementById('csv-import-modal');
+let csvImport = null; // { fileName, rows, mapping } while the wizard is open
+
+function openCsvImportWizard(fileName, text) {
+  const rows = parseCsv(text).filter(row => row.some(value => value.trim()));
+  if (rows.length === 0) {
+    alert(`${fileName} has no rows to import.`);
+    return;
+  }
+  const hasHeader = document.getElementById('csv-import-has-header');
+  hasHeader.checked = true;
+  csvImport = { fileName, rows, mapping: guessCsvMapping(rows[0]) };
+  document.getElementById('csv-import-title').textContent = `Import ${fileName}`;
+  renderCsvImportWizard();
+  csvImportModal.style.display = 'flex';
+}
+
+function closeCsvImportWizard() {
+  csvImportModal.style.display = 'none';
+  csvImport = null;
+}
+
+// The rows below the header, each turned into a person with its errors
+function getCsvImportResults() {
+  const hasHeader = document.getElementById('csv-import-has-header').checked;
+  const dataRows = hasHeader ? csvImport.rows.slice(1) : csvImport.rows;
+  return dataRows.map((values, index) => ({
+    lineNumber: index + (hasHeader ? 2 : 1),
+    ...csvRowToPerson(values, csvImport.mapping, { resolveTimezone: resolveImportedTimezone })
+  }));
+}
+
+function renderCsvImportWizard() {
+  const hasHeader = document.getElementById('csv-import-has-header').checked;
+  const columnCount = Math.max(...csvImport.rows.map(row => row.length));
+  const columnNames = Array.from({ length: columnCount }, (_, index) =>
+    (hasHeader && (csvImport.rows[0][index] || '').trim()) || `Column ${index + 1}`);
+
+  // One dropdown per roster field, listing the file's columns
+  const mappingContainer = document.getElementById('csv-import-mapping');
+  mappingContainer.innerHTML = '';
+  CSV_FIELDS.forEach(field => {
+    const label = document.createElement('label');
+    label.textContent = field.label;
+    const select = document.createElement('select');
+    select.dataset.field = field.key;
+    const none = document.createElement('option');
+    none.value = '';
+    none.textContent = '(not imported)';
+    select.appendChild(none);
+    columnNames.forEach((name, index) => {
+      const option = document.createElement('option');
+      option.value = index;
+      option.textContent = name;
+      select.appendChild(option);
+    });
+    select.value = csvImport.mapping[field.key] === undefined ? '' : String(csvImport.mapping[field.key]);
+    label.appendChild(select);
+    mappingContainer.appendChild(label);
+  });
+
+  const results = getCsvImportResults();
+  const validCount = results.filter(result => result.errors.length === 0).length;
+  const errorCount = results.length - validCount;
+  document.getElementById('csv-import-summary').textContent =
+    `${validCount} ${validCount === 1 ? 'person' : 'people'} ready to import` +
+    (errorCount > 0 ? `, ${errorCount} ${errorCount === 1 ? 'row' : 'rows'} with errors will be skipped.` : '.');
+  const applyBtn = document.getElementById('csv-import-apply');
+  applyBtn.disabled = validCount === 0;
+  applyBtn.textContent = validCount > 0 ? `Import ${validCount}` : 'Import';
+
+  // Preview: what each row becomes, or why it can't be imported
+  const table = document.getElementById('csv-import-preview');
+  table.innerHTML = '';
+  const headRow = document.createElement('tr');
+  ['Line', 'Username', 'Timezone', 'Availability', 'Status'].forEach(text => {
+    const th = document.createElement('th');
+    th.textContent = text;
+    headRow.appendChild(th);
+  });
+  const thead = document.createElement('thead');
+  thead.appendChild(headRow);
+  table.appendChild(thead);
+
+  const tbody = document.createElement('tbody');
+  results.forEach(({ lineNumber, person, errors }) => {
+    const tr = document.createElement('tr');
+    if (errors.length > 0) tr.className = 'csv-import-error';
+    const status = errors.length > 0 ? errors.join('; ') : (person.timezoneUnset ? 'OK (timezone not set)' : 'OK');
+    [lineNumber, person.username, person.timezoneUnset ? '—' : person.timezone, describeAvailableTimes(person.availableTimes), status]
+      .forEach(text => {
+        const td = document.createElement('td');
+        td.textContent = text;
+        tr.appendChild(td);
+      });
+    tbody.appendChild(tr);
+  });
+  table.appendChild(tbody);
+}
+
+// Adds every row without errors to the roster as a single undo step
+function applyCsvImport() {
+  const people = getCsvImportResults().filter(result => result.errors.length === 0).map(result => result.person);
+  if (people.length === 0) return;
+  const { fileName } = csvImport;
+  closeCsvImportWizard();
+  recordHistory(); // Keep a pending edit as its own step
+  people.forEach(person => addAvailabilityRow(person));
+  recordHistory(`Imported ${people.length} ${people.length === 1 ? 'person' : 'people'} from ${fileName}`);
+}
+
+function importCsvFromFile(event) {
   const file = event.target.files[0];
   if (!file) return;
   const reader = new FileReader();
-  reader.onload = () => {
+  reader.onload = () => openCsvImportWizard(file.name, reader.result);
+  reader.readAsText(file);
+  event.target.value = ''; // reset input so same file can be imported again
+}
+
+// --- Workspaces: named rosters kept in localStorage ---
+// The index lists the workspaces ({id, name}) and the active one; each roster is stored
+// separately under 'workspace:<id>' in the same structure saveToFile writes.
+const WORKSPACE_INDEX_KEY = 'workspaces';
+const EMPTY_WORKSPACE_DATA = { people: [{}] }; // One blank row, like a fresh page
+const MAX_WORKSPACE_SNAPSHOTS = 5;
+const SNAPSHOT_INTERVAL_MS = 10 * 60 * 1000; // Autosave keeps at most one snapshot per 10 minutes
+let workspaceIndex = { activeId: null, workspaces: [] };
+let lastAutosavedJson = null; // Skips rewriting storage when nothing changed since the last autosave
+const newestSnapshotTimes = new Map(); // Workspace id => epoch ms of its newest snapshot, once read or taken
+
+function workspaceStorageKey(id) {
+    return `workspace:${id}`;
+}
+
+function workspaceSnapshotsKey(id) {
+    return `workspace-snapshots:${id}`;
+}
+
+function createWorkspaceId() {
+    return `ws-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+function getActiveWorkspace() {
+    return workspaceIndex.workspaces.find(ws => ws.id === workspaceIndex.activeId) || null;
+}
+
+function writeWorkspaceIndex() {
     try {
-      const loadedFileContent = JSON.parse(reader.result);
-      // Determine if it's the new format (with 'people' and 'embeds' keys) or old (just an array of people)
-      const peopleData = loadedFileContent.people || loadedFileContent;
-      const embedsData = loadedFileContent.embeds || {}; // Will be empty object if not found
-      const loadedFilterState = loadedFileContent.selectedPeopleFilter || []; // New: load filter state
-
-      const tbody = document.querySelector('#availability-table tbody');
-      // Revoke any existing object URLs before clearing rows
-      Array.from(tbody.querySelectorAll('img.icon-preview')).forEach(img => {
-        if (img._url) URL.revokeObjectURL(img._url);
-      });
-      tbody.innerHTML = '';
-      
-      peopleData.forEach(item => addAvailabilityRow(item)); // addAvailabilityRow creates the row elements
+        localStorage.setItem(WORKSPACE_INDEX_KEY, JSON.stringify(workspaceIndex));
+    } catch (e) {
+        console.warn('Could not save the workspace list.', e);
+    }
+}
 
-      // NEW: Load Discord Embed data
-      const leftSpot = document.getElementById('embed-spot-left');
-      const rightSpot = document.getElementById('embed-spot-right');
+function readWorkspaceData(id) {
+    try {
+        return JSON.parse(localStorage.getItem(workspaceStorageKey(id)) || 'null');
+    } catch (e) {
+        console.warn(`Could not read workspace ${id}.`, e);
+        return null;
+    }
+}
 
-      // Clear existing content from embed spots first
-      leftSpot.innerHTML = '';
-      rightSpot.innerHTML = '';
+function countNamedPeople(data) {
+    const people = data ? (data.people || data) : [];
+    return Array.isArray(people) ? people.filter(person => (person.username || '').trim()).length : 0;
+}
 
-      if (embedsData.left) {
-          leftSpot.innerHTML = embedsData.left;
-          addDeleteButtonToSpot(leftSpot);
-      } else {
-          leftSpot.appendChild(createPlaceholderMessage('Right-click here to embed content (Left).'));
-      }
+function setAutosaveStatus(text, isError = false) {
+    const status = document.getElementById('autosave-status');
+    status.textContent = text;
+    status.classList.toggle('autosave-error', isError);
+}
 
-      if (embedsData.right) {
-          rightSpot.innerHTML = embedsData.right;
-          addDeleteButtonToSpot(rightSpot);
-      } else {
-          rightSpot.appendChild(createPlaceholderMessage('Right-click here to embed content (Right).'));
-      }
+// Store the roster on screen under the active workspace. Returns false if the browser refused
+// (usually because storage is full of icon images).
+function saveActiveWorkspace() {
+    if (!workspaceIndex.activeId) return true;
+    const data = collectAvailabilityData();
+    const json = JSON.stringify(data);
+    if (json === lastAutosavedJson) return true;
+    try {
+        localStorage.setItem(workspaceStorageKey(workspaceIndex.activeId), json);
+    } catch (e) {
+        console.warn('Could not save the current workspace.', e);
+        setAutosaveStatus('Not saved: browser storage is full', true);
+        return false;
+    }
+    lastAutosavedJson = json;
+    const workspace = getActiveWorkspace();
+    if (workspace) {
+        workspace.savedAt = new Date().toISOString();
+        writeWorkspaceIndex();
+    }
+    takeWorkspaceSnapshot(workspaceIndex.activeId, data);
+    setAutosaveStatus(`Saved ${DateTime.now().toFormat('HH:mm')}`);
+    return true;
+}
 
-      // Restore filter state
-      selectedPeopleFilter.clear();
-      loadedFilterState.forEach(([username, state]) => {
-          selectedPeopleFilter.set(username, state);
-      });
+// Edits reach storage a second after they stop
+const scheduleAutosave = debounce(saveActiveWorkspace, 1000);
+
+function readWorkspaceSnapshots(id) {
+    try {
+        const snapshots = JSON.parse(localStorage.getItem(workspaceSnapshotsKey(id)) || '[]');
+        return Array.isArray(snapshots) ? snapshots : [];
+    } catch (e) {
+        console.warn(`Could not read the snapshots of workspace ${id}.`, e);
+        return [];
+    }
+}
+
+// Keep a rolling list of the last few states of a workspace, newest first. Unless forced, a new
+// snapshot is only added once the newest one is SNAPSHOT_INTERVAL_MS old.
+function takeWorkspaceSnapshot(id, data, force = false) {
+    // Most autosaves come within the interval: skip them before parsing the stored snapshots (icons included)
+    if (!force && Date.now() - (newestSnapshotTimes.get(id) ?? -Infinity) < SNAPSHOT_INTERVAL_MS) return;
+    const snapshots = readWorkspaceSnapshots(id);
+    const newest = snapshots[0];
+    if (newest) newestSnapshotTimes.set(id, Date.parse(newest.savedAt));
+    if (newest && !force && Date.now() - Date.parse(newest.savedAt) < SNAPSHOT_INTERVAL_MS) return;
+    if (newest && JSON.stringify(newest.data) === JSON.stringify(data)) return;
+    if (countNamedPeople(data) === 0) return; // Blank pages are not worth going back to
+
+    const savedAt = new Date();
+    snapshots.unshift({ savedAt: savedAt.toISOString(), data });
+    snapshots.length = Math.min(snapshots.length, MAX_WORKSPACE_SNAPSHOTS);
+    // Drop the oldest snapshots until they fit in storage
+    while (snapshots.length > 0) {
+        try {
+            localStorage.setItem(workspaceSnapshotsKey(id), JSON.stringify(snapshots));
+            newestSnapshotTimes.set(id, savedAt.getTime());
+            return;
+        } catch (e) {
+            snapshots.pop();
+        }
+    }
+    console.warn('Browser storage is full; no snapshot was kept.');
+}
+
+function describeSavedData(data, savedAt) {
+    const when = savedAt ? DateTime.fromISO(savedAt).toFormat('ccc d LLL HH:mm') : 'unknown time';
+    const count = countNamedPeople(data);
+    return `${when} — ${count} ${count === 1 ? 'person' : 'people'}`;
+}
 
-      populatePeopleFilter(); // Update filter options after all rows are loaded. This also calls updateAvailabilitySummary
+// The data to show for a workspace. A stored roster that can't be read (storage edited by hand or
+// half written) is replaced by its newest readable snapshot, or a blank page, and the user is told.
+function readOpenableWorkspaceData(id, data) {
+    const name = (workspaceIndex.workspaces.find(ws => ws.id === id) || {}).name || '';
+    try {
+        const { data: readable, restoredSnapshot } = readWorkspaceSave(data, readWorkspaceSnapshots(id), getSaveFormatOptions());
+        if (restoredSnapshot) {
+            showToast(`Workspace "${name}" could not be read; restored its snapshot from ${describeSavedData(restoredSnapshot.data, restoredSnapshot.savedAt)}`);
+        }
+        return readable;
     } catch (err) {
-      alert('Failed to load file: ' + err.message);
+        if (!(err instanceof SaveFormatError)) throw err;
+        console.warn(`Could not read workspace ${id}.`, err);
+        showToast(`Workspace "${name}" could not be read (${err.message}) and starts blank`);
+        return EMPTY_WORKSPACE_DATA;
+    }
+}
+
+// Make a workspace active and show its data. The roster on screen is saved first unless
+// `saveCurrent` is false (when it was just deleted).
+function openWorkspace(id, data, saveCurrent = true) {
+    if (saveCurrent && !saveActiveWorkspace() &&
+        !confirm('The current workspace could not be saved (browser storage may be full). Switch anyway and lose its unsaved changes?')) {
+        renderWorkspaceSwitcher();
+        return;
+    }
+    workspaceIndex.activeId = id;
+    writeWorkspaceIndex();
+    lastAutosavedJson = null;
+    applyAvailabilityData(readOpenableWorkspaceData(id, data || readWorkspaceData(id) || EMPTY_WORKSPACE_DATA));
+    resetHistory(); // Undo never crosses into another workspace
+    saveActiveWorkspace();
+    renderWorkspaceSwitcher();
+}
+
+function createWorkspace(name, data = EMPTY_WORKSPACE_DATA) {
+    const id = createWorkspaceId();
+    if (workspaceIndex.activeId && !saveActiveWorkspace() &&
+        !confirm('The current workspace could not be saved (browser storage may be full). Continue anyway?')) {
+        return;
+    }
+    workspaceIndex.workspaces.push({ id, name });
+    openWorkspace(id, data, false);
+}
+
+function renameActiveWorkspace() {
+    const workspace = getActiveWorkspace();
+    if (!workspace) return;
+    const name = (prompt('Rename workspace:', workspace.name) || '').trim();
+    if (!name) return;
+    workspace.name = name;
+    writeWorkspaceIndex();
+    renderWorkspaceSwitcher();
+}
+
+function duplicateActiveWorkspace() {
+    const workspace = getActiveWorkspace();
+    const name = (prompt('Name of the copy:', `${workspace ? workspace.name : 'Workspace'} (copy)`) || '').trim();
+    if (!name) return;
+    createWorkspace(name, collectAvailabilityData());
+}
+
+function deleteActiveWorkspace() {
+    const workspace = getActiveWorkspace();
+    if (!workspace || !confirm(`Delete the workspace "${workspace.name}"? This cannot be undone.`)) return;
+    const index = workspaceIndex.workspaces.indexOf(workspace);
+    workspaceIndex.workspaces.splice(index, 1);
+    localStorage.removeItem(workspaceStorageKey(workspace.id));
+    localStorage.removeItem(workspaceSnapshotsKey(workspace.id));
+    newestSnapshotTimes.delete(workspace.id);
+    if (workspaceIndex.workspaces.length === 0) {
+        // Always keep one workspace around
+        workspaceIndex.activeId = null;
+        createWorkspace('My roster');
+        return;
+    }
+    const next = workspaceIndex.workspaces[Math.min(index, workspaceIndex.workspaces.length - 1)];
+    openWorkspace(next.id, null, false);
+}
+
+function renderWorkspaceSwitcher() {
+    const workspaceSelect = document.getElementById('workspace-select');
+    workspaceSelect.innerHTML = '';
+    workspaceIndex.workspaces.forEach(ws => {
+        const option = document.createElement('option');
+        option.value = ws.id;
+        option.textContent = ws.name;
+        workspaceSelect.appendChild(option);
+    });
+    workspaceSelect.value = workspaceIndex.activeId || '';
+}
+
+// --- Undo/redo: whole-roster states (the saveToFile structure) before and after each change ---
+const MAX_HISTORY_STEPS = 50;
+let undoStack = []; // [{label, state}] where state is the JSON before the change
+let redoStack = [];
+let currentHistoryState = null; // JSON of the roster as of the last recorded change
+let historyCheckpointTimer = null;
+
+// Name a change nobody labelled explicitly (typing, dropdowns, filter clicks) from what differs
+function describeHistoryChange(before, after) {
+    const beforePeople = before.people || [];
+    const afterPeople = after.people || [];
+    if (afterPeople.length > beforePeople.length) return 'Added a row';
+    if (afterPeople.length < beforePeople.length) return 'Removed a row';
+    const changedIndex = afterPeople.findIndex((person, i) => JSON.stringify(person) !== JSON.stringify(beforePeople[i]));
+    if (changedIndex !== -1) {
+        const name = (afterPeople[changedIndex].username || beforePeople[changedIndex].username || '').trim();
+        return name ? `Edited ${name}` : 'Edited a row';
+    }
+    if (JSON.stringify(before.embeds) !== JSON.stringify(after.embeds)) return 'Changed an embed';
+    return 'Changed filters';
+}
+
+// Record the roster as it is now as one undoable step. Does nothing when nothing changed.
+function recordHistory(label = null) {
+    clearTimeout(historyCheckpointTimer);
+    const state = JSON.stringify(collectAvailabilityData());
+    if (currentHistoryState === null) {
+        currentHistoryState = state;
+        return;
+    }
+    if (state === currentHistoryState) return;
+    undoStack.push({
+        label: label || describeHistoryChange(JSON.parse(currentHistoryState), JSON.parse(state)),
+        state: currentHistoryState
+    });
+    if (undoStack.length > MAX_HISTORY_STEPS) undoStack.shift();
+    redoStack = [];
+    currentHistoryState = state;
+    updateHistoryButtons();
+}
+
+// Edits that aren't recorded explicitly become a step once they settle
+function scheduleHistoryCheckpoint() {
+    clearTimeout(historyCheckpointTimer);
+    historyCheckpointTimer = setTimeout(() => recordHistory(), 800);
+}
+
+function resetHistory() {
+    clearTimeout(historyCheckpointTimer);
+    undoStack = [];
+    redoStack = [];
+    currentHistoryState = JSON.stringify(collectAvailabilityData());
+    updateHistoryButtons();
+}
+
+// Move one step from `fromStack` to `toStack`, showing the state that was stored
+function stepHistory(fromStack, toStack) {
+    recordHistory(); // Don't lose an edit that is still waiting for its checkpoint
+    const step = fromStack.pop();
+    if (!step) return null;
+    toStack.push({ label: step.label, state: currentHistoryState });
+    applyAvailabilityData(JSON.parse(step.state));
+    currentHistoryState = JSON.stringify(collectAvailabilityData());
+    clearTimeout(historyCheckpointTimer);
+    updateHistoryButtons();
+    return step;
+}
+
+function undoHistory() {
+    const step = stepHistory(undoStack, redoStack);
+    if (step) showToast(`Undid: ${step.label}`, 'Redo', redoHistory);
+}
+
+function redoHistory() {
+    const step = stepHistory(redoStack, undoStack);
+    if (step) showToast(`Redid: ${step.label}`, 'Undo', undoHistory);
+}
+
+function updateHistoryButtons() {
+    const undoBtn = document.getElementById('undo-btn');
+    const redoBtn = document.getElementById('redo-btn');
+    const lastUndo = undoStack[undoStack.length - 1];
+    const lastRedo = redoStack[redoStack.length - 1];
+    undoBtn.disabled = !lastUndo;
+    redoBtn.disabled = !lastRedo;
+    undoBtn.title = lastUndo ? `Undo: ${lastUndo.label} (Ctrl+Z)` : 'Nothing to undo';
+    redoBtn.title = lastRedo ? `Redo: ${lastRedo.label} (Ctrl+Shift+Z)` : 'Nothing to redo';
+}
+
+// Toast at the bottom of the page with an optional action button (e.g. "Deleted Alex — Undo")
+let toastAction = null;
+let toastTimer = null;
+
+function showToast(message, actionLabel = '', action = null) {
+    const toast = document.getElementById('toast');
+    const actionBtn = document.getElementById('toast-action');
+    document.getElementById('toast-message').textContent = action ? `${message} —` : message;
+    actionBtn.textContent = actionLabel;
+    actionBtn.style.display = action ? 'inline-block' : 'none';
+    toastAction = action;
+    toast.style.display = 'flex';
+    clearTimeout(toastTimer);
+    toastTimer = setTimeout(hideToast, 6000);
+}
+
+function hideToast() {
+    document.getElementById('toast').style.display = 'none';
+    toastAction = null;
+}
+
+// --- Restore prompt: previous session / start fresh / snapshots ---
+const restoreSessionModal = document.getElementById('restore-session-modal');
+
+// `atStartup` offers "Start fresh" next to keeping the restored session (last saved at
+// `previousSavedAt`); otherwise the dialog only lists the snapshots of the active workspace.
+function openRestoreSessionModal(atStartup, previousSavedAt = null) {
+    const workspace = getActiveWorkspace();
+    const snapshots = readWorkspaceSnapshots(workspaceIndex.activeId);
+
+    document.getElementById('restore-session-title').textContent = atStartup
+        ? 'Restore previous session?'
+        : `Snapshots of "${workspace ? workspace.name : ''}"`;
+    document.getElementById('restore-session-summary').textContent = atStartup
+        ? `Your last session in "${workspace ? workspace.name : ''}" was restored (saved ${describeSavedData(readWorkspaceData(workspaceIndex.activeId), previousSavedAt)}).`
+        : 'Autosave keeps the last few versions of this workspace.';
+
+    const snapshotSelect = document.getElementById('restore-snapshot-select');
+    snapshotSelect.innerHTML = '';
+    snapshots.forEach((snapshot, index) => {
+        const option = document.createElement('option');
+        option.value = index;
+        option.textContent = describeSavedData(snapshot.data, snapshot.savedAt);
+        snapshotSelect.appendChild(option);
+    });
+    document.querySelector('#restore-session-modal .restore-snapshots').style.display = snapshots.length > 0 ? 'flex' : 'none';
+    if (!atStartup && snapshots.length === 0) {
+        document.getElementById('restore-session-summary').textContent = 'No snapshots yet: autosave adds one every few minutes while you edit.';
+    }
+
+    document.getElementById('restore-session-keep').textContent = atStartup ? 'Restore previous session' : 'Close';
+    document.getElementById('restore-session-fresh').style.display = atStartup ? 'inline-block' : 'none';
+    restoreSessionModal.style.display = 'flex';
+}
+
+function closeRestoreSessionModal() {
+    restoreSessionModal.style.display = 'none';
+}
+
+// Replace the page with other data, snapshotting the current state first so it can be brought back
+function replaceWorkspaceContent(data, label) {
+    recordHistory();
+    saveActiveWorkspace();
+    takeWorkspaceSnapshot(workspaceIndex.activeId, collectAvailabilityData(), true);
+    applyAvailabilityData(data);
+    recordHistory(label);
+    saveActiveWorkspace();
+    closeRestoreSessionModal();
+}
+
+// Restore the last active workspace, or start a first one from the blank page
+function initWorkspaces() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(WORKSPACE_INDEX_KEY) || 'null');
+        if (saved && Array.isArray(saved.workspaces) && saved.workspaces.length > 0) {
+            workspaceIndex = saved;
+        }
+    } catch (e) {
+        console.warn('Could not read saved workspaces.', e);
+    }
+
+    if (workspaceIndex.workspaces.length === 0) {
+        createWorkspace('My roster');
+        return;
+    }
+    if (!getActiveWorkspace()) {
+        workspaceIndex.activeId = workspaceIndex.workspaces[0].id;
+    }
+    const previousSession = readWorkspaceData(workspaceIndex.activeId);
+    const previousSavedAt = getActiveWorkspace().savedAt;
+    openWorkspace(workspaceIndex.activeId, previousSession, false);
+    if (countNamedPeople(previousSession) > 0) {
+        openRestoreSessionModal(true, previousSavedAt);
     }
-  };
-  reader.readAsText(file);
-  event.target.value = ''; // reset input so same file can be loaded again
 }
 
 // Drag and Drop functionality
@@ -2153,18 +3030,17 @@ function handleDrop(e) {
     e.preventDefault();
     const targetRow = e.target.closest('tr');
     if (currentDraggedRow && targetRow && targetRow !== currentDraggedRow) {
-        const tbody = targetRow.parentNode;
+        recordHistory(); // Keep a pending edit as its own step
         const rect = targetRow.getBoundingClientRect();
         const offsetY = e.clientY - rect.top;
 
         // Insert based on whether we're dropping in the top or bottom half of the target row
-        if (offsetY < rect.height / 2) {
-            tbody.insertBefore(currentDraggedRow, targetRow);
-        } else {
-            tbody.insertBefore(currentDraggedRow, targetRow.nextSibling);
-        }
-        populatePeopleFilter(); // Re-populate filter in case order or presence of users changes somehow. (Safety)
-        updateAvailabilitySummary(); // Re-calculate summary based on new order
+        const people = peopleStore.getAll();
+        const fromIndex = people.findIndex(person => person.id === currentDraggedRow.dataset.personId);
+        let toIndex = people.findIndex(person => person.id === targetRow.dataset.personId) + (offsetY < rect.height / 2 ? 0 : 1);
+        if (fromIndex < toIndex) toIndex--; // The dragged person no longer takes a slot above the target
+        peopleStore.move(currentDraggedRow.dataset.personId, toIndex); // The table reorders its rows
+        recordHistory('Reordered rows');
     }
     // Clean up classes after drop attempt
     document.querySelectorAll('#availability-table tbody tr').forEach(row => {
@@ -2182,16 +3058,16 @@ function handleDragEnd(e) {
     currentDraggedRow = null;
 }
 
-// Discord Embeds functionality
-const embedSpotLeft = document.getElementById('embed-spot-left');
-const embedSpotRight = document.getElementById('embed-spot-right');
+// Discord Embeds functionality: a dashboard grid of widget slots (embedWidgets), each showing
+// sanitized embed code under a title. Right-click a slot (or use its Edit button) to change the code.
+const embedDashboard = document.getElementById('discord-embed-container');
 
 const embedCodeModal = document.getElementById('embed-code-modal');
 const embedCodeInput = document.getElementById('embed-code-input');
 const embedCodeSubmit = document.getElementById('embed-code-submit');
 const embedCodeCancel = document.getElementById('embed-code-cancel');
 
-let currentEmbedSpot = null; // To keep track of which spot was right-clicked
+let currentEmbedWidget = null; // The widget whose code is being edited in the modal
 
 // Helper to create and return a placeholder message element
 function createPlaceholderMessage(text) {
@@ -2201,85 +3077,170 @@ function createPlaceholderMessage(text) {
     return p;
 }
 
-// Function to add a delete button to an embed spot
-function addDeleteButtonToSpot(spotElement) {
-    // Remove existing delete button if any
-    const existingBtn = spotElement.querySelector('.delete-embed-btn');
-    if (existingBtn) existingBtn.remove();
-
-    const deleteBtn = document.createElement('button');
-    deleteBtn.className = 'delete-embed-btn';
-    deleteBtn.textContent = '✕';
-    deleteBtn.title = 'Remove Widget';
-    deleteBtn.addEventListener('click', () => {
-        // Clear content and re-add the original placeholder
-        spotElement.innerHTML = '';
-        if (spotElement.id === 'embed-spot-left') {
-            spotElement.appendChild(createPlaceholderMessage('Right-click here to embed content (Left).'));
-        } else if (spotElement.id === 'embed-spot-right') {
-            spotElement.appendChild(createPlaceholderMessage('Right-click here to embed content (Right).'));
-        }
-        deleteBtn.remove(); // Remove itself
+// Apply a change to the dashboard: redraw it, autosave and make it one undo step
+function commitEmbedWidgets(label, redraw = true) {
+    if (redraw) renderEmbedDashboard();
+    scheduleAutosave();
+    recordHistory(label);
+}
+
+// Size select for a widget slot: 'columns' (1 to EMBED_GRID_COLUMNS) or 'rows' (1 to EMBED_MAX_ROWS)
+function createEmbedSizeSelect(widget, slot, key) {
+    const select = document.createElement('select');
+    select.className = 'embed-slot-size';
+    select.title = key === 'columns' ? 'Width (columns)' : 'Height (rows)';
+    const max = key === 'columns' ? EMBED_GRID_COLUMNS : EMBED_MAX_ROWS;
+    for (let size = 1; size <= max; size++) {
+        const option = document.createElement('option');
+        option.value = size;
+        option.textContent = `${key === 'columns' ? 'W' : 'H'} ${size}`;
+        select.appendChild(option);
+    }
+    select.value = widget[key];
+    select.addEventListener('change', () => {
+        widget[key] = parseInt(select.value, 10);
+        applyEmbedSlotSize(slot, widget); // Resized in place; redrawing would reload the frame
+        commitEmbedWidgets('Resized a widget slot', false);
     });
-    spotElement.appendChild(deleteBtn);
+    return select;
 }
 
-// Function to set up right-click context menu for an embed spot
-function setupEmbedSpotContextMenu(spotElement) {
-    spotElement.addEventListener('contextmenu', (e) => {
-        e.preventDefault(); // Prevent default browser context menu
-        currentEmbedSpot = spotElement; // Store reference to the clicked spot
-        
-        // Populate modal input with current embed code if available
-        // If there's content and it's not the placeholder, use its innerHTML
-        if (spotElement.children.length > 0 && !spotElement.querySelector('.placeholder-message')) {
-            embedCodeInput.value = spotElement.innerHTML;
+function applyEmbedSlotSize(slot, widget) {
+    slot.style.gridColumn = `span ${widget.columns}`;
+    slot.style.gridRow = `span ${widget.rows}`;
+}
+
+function createEmbedSlotButton(text, title, onClick, disabled = false) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.textContent = text;
+    button.title = title;
+    button.disabled = disabled;
+    button.addEventListener('click', onClick);
+    return button;
+}
+
+// Rebuilds the grid from embedWidgets
+function renderEmbedDashboard() {
+    embedDashboard.innerHTML = '';
+    embedWidgets.forEach((widget, index) => {
+        const slot = document.createElement('div');
+        slot.className = 'embed-slot';
+        applyEmbedSlotSize(slot, widget);
+
+        // Header: title, order, size and removal of the slot
+        const header = document.createElement('div');
+        header.className = 'embed-slot-header';
+        const titleInput = document.createElement('input');
+        titleInput.type = 'text';
+        titleInput.className = 'embed-slot-title';
+        titleInput.placeholder = `Widget ${index + 1}`;
+        titleInput.value = widget.title;
+        titleInput.addEventListener('change', () => {
+            widget.title = titleInput.value.trim();
+            commitEmbedWidgets('Renamed a widget slot', false);
+        });
+        header.appendChild(titleInput);
+
+        const move = (offset) => {
+            embedWidgets.splice(index, 1);
+            embedWidgets.splice(index + offset, 0, widget);
+            commitEmbedWidgets('Moved a widget slot');
+        };
+        header.appendChild(createEmbedSlotButton('◀', 'Move earlier', () => move(-1), index === 0));
+        header.appendChild(createEmbedSlotButton('▶', 'Move later', () => move(1), index === embedWidgets.length - 1));
+        header.appendChild(createEmbedSizeSelect(widget, slot, 'columns'));
+        header.appendChild(createEmbedSizeSelect(widget, slot, 'rows'));
+        header.appendChild(createEmbedSlotButton('Edit', 'Change the embed code', () => openEmbedCodeModal(widget)));
+        header.appendChild(createEmbedSlotButton('Remove', 'Remove this slot', () => {
+            if (widget.code && !confirm(`Remove ${widget.title ? `"${widget.title}"` : 'this widget'} from the dashboard?`)) return;
+            embedWidgets.splice(index, 1);
+            commitEmbedWidgets('Removed a widget slot');
+        }));
+        slot.appendChild(header);
+
+        const spot = document.createElement('div');
+        spot.className = 'embed-spot';
+        if (widget.code) {
+            spot.innerHTML = widget.code; // Only markup built by the sanitizer
+            const deleteBtn = document.createElement('button');
+            deleteBtn.className = 'delete-embed-btn';
+            deleteBtn.textContent = '✕';
+            deleteBtn.title = 'Remove Widget';
+            deleteBtn.addEventListener('click', () => {
+                widget.code = ''; // The slot stays, with its placeholder
+                commitEmbedWidgets('Removed an embed');
+            });
+            spot.appendChild(deleteBtn);
         } else {
-            embedCodeInput.value = ''; // Clear previous input if placeholder is shown
+            spot.appendChild(createPlaceholderMessage('Right-click here to embed content.'));
         }
-        
-        embedCodeModal.style.display = 'flex'; // Show the modal
-        embedCodeInput.focus(); // Focus the input
+        spot.addEventListener('contextmenu', (e) => {
+            e.preventDefault(); // Prevent default browser context menu
+            openEmbedCodeModal(widget);
+        });
+        slot.appendChild(spot);
+        embedDashboard.appendChild(slot);
     });
+    if (embedWidgets.length === 0) {
+        embedDashboard.appendChild(createPlaceholderMessage('No widget slots. Add one below.'));
+    }
 }
 
-// Setup context menus for both spots
-setupEmbedSpotContextMenu(embedSpotLeft);
-setupEmbedSpotContextMenu(embedSpotRight);
+// Lists what the embed code in the modal would lose, as the user types
+function updateEmbedCodeReport() {
+    const { html, stripped } = sanitizeEmbedHtml(embedCodeInput.value, embedHosts, location.hostname);
+    const report = document.getElementById('embed-code-report');
+    report.innerHTML = '';
+    stripped.forEach(item => {
+        const li = document.createElement('li');
+        li.textContent = `Will be removed: ${item}`;
+        report.appendChild(li);
+    });
+    if (!html && embedCodeInput.value.trim()) {
+        const li = document.createElement('li');
+        li.textContent = 'Nothing in this code can be embedded.';
+        report.appendChild(li);
+    }
+    report.style.display = report.children.length > 0 ? 'block' : 'none';
+    document.getElementById('embed-code-hosts').textContent = `Only iframes from these hosts are embedded (change them in Settings): ${embedHosts.join(', ')}`;
+}
 
-embedCodeSubmit.addEventListener('click', () => {
-    if (!currentEmbedSpot) return; // Should not happen if modal is opened via context menu
+function openEmbedCodeModal(widget) {
+    currentEmbedWidget = widget;
+    embedCodeInput.value = widget.code; // Empty while the placeholder is shown
+    updateEmbedCodeReport();
+    embedCodeModal.style.display = 'flex'; // Show the modal
+    embedCodeInput.focus(); // Focus the input
+}
 
-    const embedCode = embedCodeInput.value.trim();
-    currentEmbedSpot.innerHTML = ''; // Clear existing content and placeholder
+function closeEmbedCodeModal() {
+    embedCodeModal.style.display = 'none';
+    currentEmbedWidget = null; // Reset reference
+}
 
-    if (embedCode) {
-        // Directly inject the HTML.
-        currentEmbedSpot.innerHTML = embedCode;
-        addDeleteButtonToSpot(currentEmbedSpot); // Add the delete button
-    } else {
-        // If nothing is entered, revert to placeholder
-        if (currentEmbedSpot.id === 'embed-spot-left') {
-            currentEmbedSpot.appendChild(createPlaceholderMessage('Right-click here to embed content (Left).'));
-        } else if (currentEmbedSpot.id === 'embed-spot-right') {
-            currentEmbedSpot.appendChild(createPlaceholderMessage('Right-click here to embed content (Right).'));
-        }
-    }
-    embedCodeModal.style.display = 'none'; // Hide the modal
-    currentEmbedSpot = null; // Reset reference
-});
+embedCodeSubmit.addEventListener('click', () => {
+    if (!currentEmbedWidget) return; // Should not happen if modal is opened from a slot
 
-embedCodeCancel.addEventListener('click', () => {
-    embedCodeModal.style.display = 'none'; // Hide the modal without applying changes
-    currentEmbedSpot = null; // Reset reference
+    // The modal already listed anything stripped; an empty result brings back the placeholder
+    currentEmbedWidget.code = sanitizeEmbedHtml(embedCodeInput.value.trim(), embedHosts, location.hostname).html;
+    const embedded = !!currentEmbedWidget.code;
+    closeEmbedCodeModal();
+    commitEmbedWidgets(embedded ? 'Changed an embed' : 'Removed an embed');
 });
 
+embedCodeInput.addEventListener('input', updateEmbedCodeReport);
+
+embedCodeCancel.addEventListener('click', closeEmbedCodeModal); // Hide the modal without applying changes
+
 // Hide modal if clicked outside its content
 embedCodeModal.addEventListener('click', (e) => {
-    if (e.target === embedCodeModal) {
-        embedCodeModal.style.display = 'none';
-        currentEmbedSpot = null; // Reset reference
-    }
+    if (e.target === embedCodeModal) closeEmbedCodeModal();
+});
+
+document.getElementById('add-embed-slot').addEventListener('click', () => {
+    embedWidgets.push({ title: '', code: '', columns: 2, rows: 2 });
+    commitEmbedWidgets('Added a widget slot');
 });
 
 // NEW: Note Viewer Modal functionality
@@ -2311,10 +3272,21 @@ const clearPeopleFilterBtn = document.getElementById('clear-people-filter');
 
 clearPeopleFilterBtn.addEventListener('click', () => {
     selectedPeopleFilter.clear(); // Clear the map
-    populatePeopleFilter(); // Re-render the filter UI (which will show all 'none' states)
+    populatePeopleFilter(); // Re-render the filter UI (which will show everyone as optional)
     updateAvailabilitySummary(); 
 });
 
+document.getElementById('quorum-size').addEventListener('input', (event) => {
+    globalQuorumSize = Math.max(0, parseInt(event.target.value, 10) || 0);
+    updateAvailabilitySummary();
+});
+
+document.getElementById('group-selector').addEventListener('change', (event) => {
+    globalSelectedGroup = event.target.value;
+    applyGroupFilterToTable();
+    populatePeopleFilter(); // Only the group's people can be marked required/excluded
+});
+
 // NEW: Search Tool functionality
 const searchPersonInput = document.getElementById('search-person-input');
 const searchSuggestionsDiv = document.getElementById('search-suggestions');
@@ -2326,15 +3298,13 @@ searchPersonInput.addEventListener('input', debounce(() => {
 
     if (searchTerm.length < 2) return; // Only show suggestions for 2+ characters
 
-    const currentPeople = Array.from(document.querySelectorAll('#availability-table tbody tr')).map(tr => {
-        const usernameInput = tr.cells[1].querySelector('input');
-        return usernameInput ? usernameInput.value.trim() : '';
-    }).filter(Boolean); // Filter out empty strings
+    const currentPeople = peopleStore.getAll().filter(person => (person.username || '').trim()); // Skip blank rows
 
-    const matchingPeople = currentPeople.filter(name => name.toLowerCase().includes(searchTerm));
+    const matchingPeople = currentPeople.filter(person => person.username.trim().toLowerCase().includes(searchTerm));
 
     if (matchingPeople.length > 0) {
-        matchingPeople.forEach(personName => {
+        matchingPeople.forEach(person => {
+            const personName = person.username.trim();
             const suggestionItem = document.createElement('div');
             suggestionItem.className = 'suggestion-item';
             suggestionItem.textContent = personName;
@@ -2343,12 +3313,14 @@ searchPersonInput.addEventListener('input', debounce(() => {
                 searchSuggestionsDiv.style.display = 'none';
                 searchSuggestionsDiv.innerHTML = '';
                 
+                if (!isPersonInSelectedGroup(person)) {
+                    // The person is outside the selected group, so go back to everyone to show their row
+                    globalSelectedGroup = '';
+                    populatePeopleFilter();
+                }
+
                 // Find the row and scroll to it
-                const rows = Array.from(document.querySelectorAll('#availability-table tbody tr'));
-                const targetRow = rows.find(tr => {
-                    const usernameInput = tr.cells[1].querySelector('input');
-                    return usernameInput && usernameInput.value.trim() === personName;
-                });
+                const targetRow = document.querySelector(`#availability-table tbody tr[data-person-id="${person.id}"]`);
 
                 if (targetRow) {
                     targetRow.scrollIntoView({ behavior: 'smooth', block: 'center' });
@@ -2375,58 +3347,148 @@ document.addEventListener('click', (event) => {
 
 // Initial load sequence and event listeners (at the very end of app.js)
 
+// Everything that shows the roster follows the people store
+peopleStore.subscribe(change => {
+    renderAvailabilityTableChange(change);
+    // Names, tags and icons feed the filter buttons and group selector; other edits only the summary
+    if (change.type === 'update' && !change.changedKeys.some(key => ['username', 'tags', 'iconSrc'].includes(key))) {
+        updateAvailabilitySummary();
+    } else {
+        populatePeopleFilter(); // This implicitly calls updateAvailabilitySummary
+    }
+});
+
 document.getElementById('add-row').addEventListener('click', () => {
-    addAvailabilityRow();
-    populatePeopleFilter(); // This implicitly calls updateAvailabilitySummary
+    recordHistory(); // Keep a pending edit as its own step
+    addAvailabilityRow(); // The store's add event renders the row and refreshes the filter and summary
+    recordHistory('Added a row');
+});
+document.getElementById('undo-btn').addEventListener('click', undoHistory);
+document.getElementById('redo-btn').addEventListener('click', redoHistory);
+document.getElementById('toast-action').addEventListener('click', () => {
+    const action = toastAction;
+    hideToast();
+    if (action) action();
+});
+
+// Ctrl+Z / Ctrl+Shift+Z (and Ctrl+Y). Inside text fields the browser's own text undo wins.
+document.addEventListener('keydown', (e) => {
+    if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+    const key = e.key.toLowerCase();
+    if (key !== 'z' && key !== 'y') return;
+    const target = e.target;
+    if (target && (target.tagName === 'TEXTAREA' || (target.tagName === 'INPUT' && !['checkbox', 'radio', 'button', 'file'].includes(target.type)))) return;
+    e.preventDefault();
+    if (key === 'y' || e.shiftKey) {
+        redoHistory();
+    } else {
+        undoHistory();
+    }
 });
 document.getElementById('save-file').addEventListener('click', saveToFile);
 document.getElementById('load-file').addEventListener('click', () => {
   document.getElementById('load-file-input').click();
 });
 document.getElementById('load-file-input').addEventListener('change', loadFromFile);
+document.getElementById('merge-file').addEventListener('click', () => {
+  document.getElementById('merge-file-input').click();
+});
+document.getElementById('merge-file-input').addEventListener('change', mergeFromFile);
+document.getElementById('merge-apply').addEventListener('click', applyMerge);
+document.getElementById('merge-cancel').addEventListener('click', closeMergeModal);
+mergeModal.addEventListener('click', (e) => {
+  if (e.target === mergeModal) closeMergeModal();
+});
+document.getElementById('share-link').addEventListener('click', openShareLinkModal);
+document.getElementById('share-include-details').addEventListener('change', updateShareLink);
+document.getElementById('share-link-copy').addEventListener('click', copyShareLink);
+document.getElementById('share-link-close').addEventListener('click', closeShareLinkModal);
+shareLinkModal.addEventListener('click', (e) => {
+  if (e.target === shareLinkModal) closeShareLinkModal();
+});
+document.getElementById('read-only-leave').addEventListener('click', () => {
+  history.replaceState(null, '', location.pathname + location.search);
+  location.reload();
+});
+// Following another share link in the same tab only changes the fragment
+window.addEventListener('hashchange', () => {
+  if (location.hash.startsWith(SHARE_FRAGMENT_PREFIX) || isReadOnlyView) location.reload();
+});
+document.getElementById('load-report-close').addEventListener('click', closeLoadReportModal);
+loadReportModal.addEventListener('click', (e) => {
+  if (e.target === loadReportModal) closeLoadReportModal();
+});
+document.getElementById('export-csv').addEventListener('click', exportRosterCsv);
+document.getElementById('import-csv').addEventListener('click', () => {
+  document.getElementById('import-csv-input').click();
+});
+document.getElementById('import-csv-input').addEventListener('change', importCsvFromFile);
+
+// CSV import wizard: remapping a column or toggling the header row refreshes the preview
+document.getElementById('csv-import-mapping').addEventListener('change', (e) => {
+  const field = e.target.dataset.field;
+  if (!field) return;
+  if (e.target.value === '') {
+    delete csvImport.mapping[field];
+  } else {
+    csvImport.mapping[field] = parseInt(e.target.value, 10);
+  }
+  renderCsvImportWizard();
+});
+document.getElementById('csv-import-has-header').addEventListener('change', (e) => {
+  csvImport.mapping = e.target.checked ? guessCsvMapping(csvImport.rows[0]) : {};
+  renderCsvImportWizard();
+});
+document.getElementById('csv-import-apply').addEventListener('click', applyCsvImport);
+document.getElementById('csv-import-cancel').addEventListener('click', closeCsvImportWizard);
+csvImportModal.addEventListener('click', (e) => {
+  if (e.target === csvImportModal) closeCsvImportWizard();
+});
+
+// Workspace switcher in the header
+document.getElementById('workspace-select').addEventListener('change', (event) => {
+    openWorkspace(event.target.value);
+});
+document.getElementById('workspace-new').addEventListener('click', () => {
+    const name = (prompt('Name of the new workspace:', '') || '').trim();
+    if (name) createWorkspace(name);
+});
+document.getElementById('workspace-rename').addEventListener('click', renameActiveWorkspace);
+document.getElementById('workspace-duplicate').addEventListener('click', duplicateActiveWorkspace);
+document.getElementById('workspace-delete').addEventListener('click', deleteActiveWorkspace);
+document.getElementById('workspace-snapshots').addEventListener('click', () => openRestoreSessionModal(false));
+
+// Autosave: table edits (including notes, which don't touch the summary), summary refreshes and embeds
+document.querySelector('#availability-table tbody').addEventListener('input', scheduleAutosave);
+document.querySelector('#availability-table tbody').addEventListener('change', scheduleAutosave);
+document.querySelector('#availability-table tbody').addEventListener('change', scheduleHistoryCheckpoint);
+window.addEventListener('beforeunload', saveActiveWorkspace);
+
+document.getElementById('restore-session-keep').addEventListener('click', closeRestoreSessionModal);
+document.getElementById('restore-session-fresh').addEventListener('click', () => replaceWorkspaceContent(EMPTY_WORKSPACE_DATA, 'Started fresh'));
+document.getElementById('restore-snapshot-apply').addEventListener('click', () => {
+    const snapshot = readWorkspaceSnapshots(workspaceIndex.activeId)[document.getElementById('restore-snapshot-select').value];
+    if (snapshot) replaceWorkspaceContent(snapshot.data, 'Restored a snapshot');
+});
+restoreSessionModal.addEventListener('click', (e) => {
+    if (e.target === restoreSessionModal) closeRestoreSessionModal();
+});
 
 // Event listeners for viewer's timezone selection
-const viewerOffsetSelect = document.getElementById('viewer-utc-offset');
-const viewerDstCheckbox = document.getElementById('viewer-dst');
 const toggleBestTimeDisplayModeBtn = document.getElementById('toggle-best-time-display-mode'); // New button
 
-// Populate options for viewer's UTC offset
-for (let offset = -12; offset <= 14; offset++) {
-    const option = document.createElement('option');
-    option.value = offset;
-    option.textContent = offset === 0 ? 'UTC±0' : `UTC${offset > 0 ? '+' : ''}${offset}`;
-    viewerOffsetSelect.appendChild(option);
-}
-
-// Attempt to set default viewer offset to system's current UTC offset
-let initialViewerUtcOffset = 0;
-let initialViewerDst = false;
+// Populate the viewer's timezone select, defaulting to the system zone
+let initialViewerTimezone = 'UTC';
 try {
-    const localNow = DateTime.local();
-    initialViewerDst = localNow.isInDST;
-    // Luxon's `offset` is the current effective offset (includes DST).
-    // If DST is active, the *base* UTC offset is the current offset minus 1 hour (for typical DST).
-    // Otherwise, the base UTC offset is the current offset.
-    initialViewerUtcOffset = localNow.offset / 60; // Get current effective offset in hours
-    if (initialViewerDst) {
-        initialViewerUtcOffset = initialViewerUtcOffset - 1; // Subtract 1 hour if DST is active to get base offset
-    }
-    
-    // Ensure the calculated offset is within our selectable range -12 to +14
-    initialViewerUtcOffset = Math.max(-12, Math.min(14, Math.round(initialViewerUtcOffset)));
-
+    initialViewerTimezone = DateTime.local().zoneName;
 } catch (e) {
     console.warn("Could not determine local timezone for default setting.", e);
-    // Fallback to defaults if detection fails
-    initialViewerUtcOffset = 0;
-    initialViewerDst = false;
 }
+const viewerTimezoneSelect = createTimezoneSelect(initialViewerTimezone);
+viewerTimezoneSelect.id = 'viewer-timezone';
+document.getElementById('viewer-timezone').replaceWith(viewerTimezoneSelect);
 
-viewerOffsetSelect.value = initialViewerUtcOffset.toString(); // Ensure string value for select
-viewerDstCheckbox.checked = initialViewerDst;
-
-viewerOffsetSelect.addEventListener('change', updateAvailabilitySummary);
-viewerDstCheckbox.addEventListener('change', updateAvailabilitySummary);
+viewerTimezoneSelect.addEventListener('change', updateAvailabilitySummary);
 
 // NEW: Event listener for the time display mode button
 toggleBestTimeDisplayModeBtn.addEventListener('click', () => {
@@ -2457,6 +3519,45 @@ const showExp = localStorage.getItem('showExperimental') === 'true';
 toggleExperimental.checked = showExp;
 experimentalSection.style.display = showExp ? 'block' : 'none';
 
+// Confidence weights per availability type
+const confidenceWeightInputs = document.querySelectorAll('.confidence-weight-input');
+try {
+  const savedWeights = JSON.parse(localStorage.getItem('confidenceWeights') || '{}');
+  Object.keys(DEFAULT_CONFIDENCE_WEIGHTS).forEach(type => {
+    const weight = parseFloat(savedWeights[type]);
+    if (!isNaN(weight)) confidenceWeights[type] = Math.min(Math.max(weight, 0), 1);
+  });
+} catch (e) {
+  console.warn('Could not read saved confidence weights.', e);
+}
+confidenceWeightInputs.forEach(input => {
+  input.value = confidenceWeights[input.dataset.availabilityType];
+  input.addEventListener('change', () => {
+    const weight = parseFloat(input.value);
+    const type = input.dataset.availabilityType;
+    confidenceWeights[type] = isNaN(weight) ? DEFAULT_CONFIDENCE_WEIGHTS[type] : Math.min(Math.max(weight, 0), 1);
+    input.value = confidenceWeights[type];
+    localStorage.setItem('confidenceWeights', JSON.stringify(confidenceWeights));
+    updateAvailabilitySummary();
+  });
+});
+
+// Allowed embed hosts; an empty list brings back the defaults. Embeds already shown are kept.
+const embedHostsInput = document.getElementById('embed-hosts-input');
+try {
+  const savedHosts = JSON.parse(localStorage.getItem('embedHosts') || 'null');
+  if (Array.isArray(savedHosts) && savedHosts.length > 0) embedHosts = parseEmbedHosts(savedHosts.join(' '));
+} catch (e) {
+  console.warn('Could not read saved embed hosts.', e);
+}
+embedHostsInput.value = embedHosts.join('\n');
+embedHostsInput.addEventListener('change', () => {
+  const hosts = parseEmbedHosts(embedHostsInput.value);
+  embedHosts = hosts.length > 0 ? hosts : [...DEFAULT_EMBED_HOSTS];
+  embedHostsInput.value = embedHosts.join('\n');
+  localStorage.setItem('embedHosts', JSON.stringify(hosts));
+});
+
 // Handle experimental toggle change
 toggleExperimental.addEventListener('change', () => {
   const checked = toggleExperimental.checked;
@@ -2492,17 +3593,44 @@ modeHourlySlotsBtn.addEventListener('click', () => {
     updateAvailabilitySummary();
 });
 
+document.getElementById('meeting-length').addEventListener('change', (event) => {
+    globalMeetingLengthMinutes = Math.max(1, parseInt(event.target.value, 10) || 1);
+    updateAvailabilitySummary();
+});
+
+// Weekly heatmap panel
+const heatmapDetails = document.getElementById('heatmap-details');
+const heatmapGrid = document.getElementById('availability-heatmap');
+heatmapDetails.addEventListener('toggle', updateAvailabilitySummary);
+document.getElementById('heatmap-resolution').addEventListener('change', updateAvailabilitySummary);
+heatmapGrid.addEventListener('mousemove', showHeatmapTooltip);
+heatmapGrid.addEventListener('mouseleave', () => {
+    document.getElementById('heatmap-tooltip').style.display = 'none';
+});
+heatmapGrid.addEventListener('click', handleHeatmapCellClick);
+
 // Initial setup for the date picker (already exists, but make sure it's here)
 const datePicker = document.getElementById('selected-date');
 datePicker.value = DateTime.now().toISODate();
-datePicker.addEventListener('change', updateAvailabilitySummary);
+datePicker.addEventListener('change', () => {
+    updateEndDateLimits();
+    updateAvailabilitySummary();
+});
+const endDatePicker = document.getElementById('selected-end-date');
+endDatePicker.value = datePicker.value;
+updateEndDateLimits();
+endDatePicker.addEventListener('change', updateAvailabilitySummary);
 
 // Call populatePeopleFilter on initial load. This is important to ensure
 // `selectedPeopleFilter` is correctly populated and then `updateAvailabilitySummary` is called.
 // It was already present, but important to make sure it's after element refs.
 // Initial load sequence (at the very end of app.js)
-// Add one row initially, then populate filter and update summary
-addAvailabilityRow();
-populatePeopleFilter(); 
+// Restore the active workspace (or start with one empty row), then populate filter and update summary.
+// A share link shows its roster read-only instead.
+if (location.hash.startsWith(SHARE_FRAGMENT_PREFIX)) {
+    openSharedView(location.hash);
+} else {
+    initWorkspaces();
+}
 updateClockAndZones(); 
 setInterval(updateClockAndZones, 1000);
\ No newline at end of file
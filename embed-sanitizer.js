@@ -0,0 +1,171 @@
+// Embedded widgets: pasted or loaded embed code is reduced to iframes from allowed hosts, each
+// rebuilt with a fixed set of attributes and a `sandbox`, so a shared file can't bring scripts or
+// event handlers into the page. Pure helpers without DOM: the markup is tokenized here and only
+// markup generated here is ever shown.
+//
+// sanitizeEmbedHtml returns { html, stripped }, where `stripped` lists what was left out as short
+// descriptions ('<script> element', 'onload attribute', …) for the user.
+
+// Hosts (and their subdomains) whose iframes may be embedded unless the user configures others
+export const DEFAULT_EMBED_HOSTS = ['discord.com', 'youtube.com', 'youtube-nocookie.com', 'player.twitch.tv', 'calendar.google.com'];
+
+// What an embedded frame may do: enough for widgets like Discord's. With both allow-scripts and
+// allow-same-origin a frame from the page's own origin could lift its sandbox and reach the page,
+// so frames from the page's host (or a domain above it) are never embedded, whatever the allowed hosts.
+export const EMBED_SANDBOX = ['allow-scripts', 'allow-same-origin', 'allow-popups', 'allow-popups-to-escape-sandbox'];
+
+// Attributes kept on a frame, with the values they accept
+const FRAME_ATTRIBUTES = {
+    width: /^\d+(px|%)?$/,
+    height: /^\d+(px|%)?$/,
+    title: /^/,
+    frameborder: /^\d$/,
+    allowtransparency: /^(true|false|)$/,
+    allowfullscreen: /^(true|allowfullscreen|)$/,
+    loading: /^(lazy|eager)$/
+};
+
+// Elements whose content is raw text, skipped up to their closing tag
+const RAW_TEXT_ELEMENTS = ['script', 'style', 'textarea', 'title', 'xmp', 'noscript', 'noembed', 'noframes', 'template'];
+
+const TOKEN_PATTERN = /<!--[\s\S]*?(?:-->|$)|<(\/?)([a-zA-Z][^\s/>]*)((?:[^>"']|"[^"]*"|'[^']*')*)>/g;
+const ATTRIBUTE_PATTERN = /([^\s"'>/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+)))?/g;
+
+// Position after the closing tag starting with `closingTag` (e.g. '</script'), or the end of the source
+function skipPast(source, closingTag, position) {
+    const start = source.toLowerCase().indexOf(closingTag, position);
+    const end = start === -1 ? -1 : source.indexOf('>', start);
+    return end === -1 ? source.length : end + 1;
+}
+
+function decodeEntities(text) {
+    return text.replace(/&(#x[0-9a-f]+|#\d+|amp|quot|apos|lt|gt|#39);/gi, (match, entity) => {
+        const name = entity.toLowerCase();
+        if (name.startsWith('#x')) return String.fromCodePoint(parseInt(name.slice(2), 16));
+        if (name.startsWith('#')) return String.fromCodePoint(parseInt(name.slice(1), 10));
+        return { amp: '&', quot: '"', apos: "'", lt: '<', gt: '>' }[name];
+    });
+}
+
+function escapeAttribute(text) {
+    return text.replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+function parseAttributes(text) {
+    const attributes = new Map();
+    for (const match of text.matchAll(ATTRIBUTE_PATTERN)) {
+        const name = match[1].toLowerCase();
+        const value = match[2] ?? match[3] ?? match[4] ?? '';
+        if (!attributes.has(name)) attributes.set(name, decodeEntities(value).trim());
+    }
+    return attributes;
+}
+
+// Host names from a comma-, space- or line-separated list; full URLs are cut down to their host
+export function parseEmbedHosts(text) {
+    const hosts = [];
+    (text || '').split(/[\s,]+/).forEach(entry => {
+        const host = entry.trim().toLowerCase().replace(/^[a-z]+:\/\//, '').replace(/[/?#].*$/, '').replace(/^\*\./, '');
+        if (/^[a-z0-9-]+(\.[a-z0-9-]+)+$/.test(host) && !hosts.includes(host)) hosts.push(host);
+    });
+    return hosts;
+}
+
+export function isAllowedEmbedHost(hostname, allowedHosts) {
+    const host = hostname.toLowerCase();
+    return allowedHosts.some(allowed => host === allowed || host.endsWith(`.${allowed}`));
+}
+
+// True for the page's own host and the domains above it ('example.com' for 'app.example.com')
+export function isPageEmbedHost(hostname, pageHostname) {
+    const host = hostname.toLowerCase();
+    const page = (pageHostname || '').toLowerCase();
+    return !!page && (page === host || page.endsWith(`.${host}`));
+}
+
+// The markup of one allowed frame, or null (with the reason in `strip`) when it can't be embedded
+function sanitizeFrame(attributes, allowedHosts, pageHostname, strip) {
+    let url;
+    try {
+        url = new URL(attributes.get('src') || '');
+    } catch (err) {
+        strip(attributes.get('src') ? `iframe with the invalid address "${attributes.get('src')}"` : 'iframe without an address');
+        return null;
+    }
+    if (url.protocol !== 'https:') {
+        strip(`iframe with a ${url.protocol} address (only https is allowed)`);
+        return null;
+    }
+    if (isPageEmbedHost(url.hostname, pageHostname)) {
+        strip(`iframe from ${url.hostname} (this page's own site can't be embedded)`);
+        return null;
+    }
+    if (!isAllowedEmbedHost(url.hostname, allowedHosts)) {
+        strip(`iframe from ${url.hostname} (not an allowed host)`);
+        return null;
+    }
+
+    const kept = [`src="${escapeAttribute(url.href)}"`];
+    attributes.forEach((value, name) => {
+        if (name === 'src' || name === 'sandbox') return;
+        if (FRAME_ATTRIBUTES[name] && FRAME_ATTRIBUTES[name].test(value)) {
+            kept.push(value ? `${name}="${escapeAttribute(value)}"` : name);
+        } else {
+            strip(FRAME_ATTRIBUTES[name] ? `${name}="${value}" attribute` : `${name} attribute`);
+        }
+    });
+    // A sandbox given with the code may only take permissions away
+    const requested = attributes.has('sandbox') ? attributes.get('sandbox').toLowerCase().split(/\s+/) : EMBED_SANDBOX;
+    kept.push(`sandbox="${EMBED_SANDBOX.filter(token => requested.includes(token)).join(' ')}"`);
+    return `<iframe ${kept.join(' ')}></iframe>`;
+}
+
+// Reduces embed code to the allowed iframes; `allowedHosts` is a list like DEFAULT_EMBED_HOSTS and
+// `pageHostname` the host the page is served from (location.hostname), refused even when allowed
+export function sanitizeEmbedHtml(html, allowedHosts = DEFAULT_EMBED_HOSTS, pageHostname = '') {
+    const frames = [];
+    const stripped = [];
+    const strip = (description) => {
+        if (!stripped.includes(description)) stripped.push(description);
+    };
+    const stripText = (text) => {
+        const trimmed = decodeEntities(text).replace(/\s+/g, ' ').trim();
+        if (trimmed) strip(`text "${trimmed.length > 40 ? `${trimmed.slice(0, 40)}…` : trimmed}"`);
+    };
+
+    const source = html || '';
+    let position = 0;
+    TOKEN_PATTERN.lastIndex = 0;
+    let match;
+    while ((match = TOKEN_PATTERN.exec(source))) {
+        stripText(source.slice(position, match.index));
+        position = TOKEN_PATTERN.lastIndex;
+        const [token, closing, tagName, attributeText] = match;
+        if (token.startsWith('<!--') || closing) continue; // Comments go silently; closing tags with their element
+
+        const name = tagName.toLowerCase();
+        const attributes = parseAttributes(attributeText);
+        if (name === 'iframe' || RAW_TEXT_ELEMENTS.includes(name)) {
+            // Their content is never markup (a frame's is fallback text): skip to the closing tag
+            position = skipPast(source, `</${name}`, position);
+            TOKEN_PATTERN.lastIndex = position;
+            if (name === 'iframe') {
+                const frame = sanitizeFrame(attributes, allowedHosts, pageHostname, strip);
+                if (frame) frames.push(frame);
+            } else {
+                strip(`<${name}> element`);
+            }
+        } else if (name === 'button' && attributes.get('class') === 'delete-embed-btn') {
+            // Files saved before embeds were sanitized contain the spot's remove button; not embed code
+            position = skipPast(source, '</button', position);
+            TOKEN_PATTERN.lastIndex = position;
+        } else {
+            strip(`<${name}> element`);
+            attributes.forEach((value, attribute) => {
+                if (attribute.startsWith('on')) strip(`${attribute} attribute`);
+            });
+        }
+    }
+    stripText(source.slice(position));
+    return { html: frames.join('\n'), stripped };
+}
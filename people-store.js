@@ -0,0 +1,108 @@
+// In-memory roster: the list of people independent of the availability table.
+// The table, people filter, summary, search and save/load all read from the store and
+// subscribe to its change events, so nothing has to scrape table inputs by column position.
+//
+// A person is { id, username, note, timezone, timezoneUnset, availableTimes, exceptions, tags, iconSrc }.
+// Person objects are replaced, never mutated, on update; treat the ones you get as read-only.
+// The id is saved with the person and survives renames, so filters and other per-person data
+// are keyed by it rather than by the username (which two people may share).
+//
+// Change events passed to subscribers:
+//   { type: 'add', person, index }
+//   { type: 'update', person, previous, changedKeys, origin }
+//   { type: 'remove', person, index }
+//   { type: 'move', person, fromIndex, index }
+//   { type: 'reset', people }
+
+// A random id ('p-k3x9q2ab') not in `takenIds`, unlikely to clash with the ids of other saved rosters
+export function createPersonId(takenIds = new Set()) {
+    let id;
+    do {
+        id = `p-${Math.random().toString(36).slice(2, 10).padEnd(8, '0')}`;
+    } while (takenIds.has(id));
+    return id;
+}
+
+export function createPeopleStore() {
+    let people = [];
+    const listeners = new Set();
+
+    const emit = (change) => {
+        listeners.forEach(listener => listener(change));
+    };
+
+    const indexOf = (id) => people.findIndex(person => person.id === id);
+
+    // Keeps a given id when it is free, otherwise hands out a new one
+    const createPerson = (data, takenIds) => {
+        const id = data.id && !takenIds.has(data.id) ? data.id : createPersonId(takenIds);
+        takenIds.add(id);
+        return { ...data, id };
+    };
+
+    return {
+        getAll() {
+            return people.slice();
+        },
+
+        get(id) {
+            const index = indexOf(id);
+            return index === -1 ? null : people[index];
+        },
+
+        add(data = {}, index = people.length) {
+            const person = createPerson(data, new Set(people.map(p => p.id)));
+            const insertAt = Math.max(0, Math.min(index, people.length));
+            people.splice(insertAt, 0, person);
+            emit({ type: 'add', person, index: insertAt });
+            return person;
+        },
+
+        // Merges `patch` into a person. Only fields whose value actually changed count; when none
+        // did, nothing is emitted. `origin` tells subscribers who made the change (the table skips
+        // re-rendering its own edits); `silent` updates without emitting at all.
+        update(id, patch, { origin = null, silent = false } = {}) {
+            const index = indexOf(id);
+            if (index === -1) return null;
+            const previous = people[index];
+            const changedKeys = Object.keys(patch)
+                .filter(key => key !== 'id' && JSON.stringify(patch[key]) !== JSON.stringify(previous[key]));
+            if (changedKeys.length === 0) return previous;
+
+            const person = { ...previous, ...patch, id };
+            people[index] = person;
+            if (!silent) emit({ type: 'update', person, previous, changedKeys, origin });
+            return person;
+        },
+
+        remove(id) {
+            const index = indexOf(id);
+            if (index === -1) return null;
+            const [person] = people.splice(index, 1);
+            emit({ type: 'remove', person, index });
+            return person;
+        },
+
+        move(id, toIndex) {
+            const fromIndex = indexOf(id);
+            if (fromIndex === -1) return;
+            const index = Math.max(0, Math.min(toIndex, people.length - 1));
+            if (index === fromIndex) return;
+            const [person] = people.splice(fromIndex, 1);
+            people.splice(index, 0, person);
+            emit({ type: 'move', person, fromIndex, index });
+        },
+
+        // Replaces everyone at once (file loads, workspace switches, undo) with a single event
+        replaceAll(list = []) {
+            const takenIds = new Set();
+            people = list.map(data => createPerson(data, takenIds));
+            emit({ type: 'reset', people: people.slice() });
+        },
+
+        subscribe(listener) {
+            listeners.add(listener);
+            return () => listeners.delete(listener);
+        }
+    };
+}
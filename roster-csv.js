@@ -0,0 +1,285 @@
+// CSV export/import of the roster, for groups that keep their schedule in a spreadsheet.
+// Pure helpers (no DOM): app.js runs the import wizard and decides which timezones are valid.
+//
+// An exported file has one row per person:
+//   Username, Timezone, DST, Rule Type, Monday … Sunday, Notes, Tags
+// Each day column holds that day's rule as text:
+//   'n/a', 'always', '09:00-12:00, 14:00-17:00' (specific) or 'mostlyFree: 18:00-23:00',
+//   with an optional preferred part per range: '18:00-23:00 (preferred 19:00-21:00)'.
+// Icons and dated exceptions are not part of the CSV.
+import { RANGE_TYPES, getRuleRanges, getRulePreferredRanges, buildAvailabilityRule, getZoneOffsetMinutes } from './scheduler.js';
+
+const DAY_NAMES = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'];
+const RULE_TYPES = ['specific', 'n/a', 'unpredictable', 'mostlyFree', 'always', 'weekendWeekdays', 'customDays'];
+
+// Fields the import wizard can map a column onto. `aliases` are header names recognised automatically.
+export const CSV_FIELDS = [
+    { key: 'username', label: 'Username', aliases: ['username', 'user', 'name', 'person'] },
+    { key: 'timezone', label: 'Timezone', aliases: ['timezone', 'time zone', 'tz', 'zone', 'utc offset', 'offset'] },
+    { key: 'dst', label: 'DST', aliases: ['dst', 'daylight saving', 'daylight savings'] },
+    { key: 'ruleType', label: 'Rule Type', aliases: ['rule type', 'type', 'availability type'] },
+    { key: 'allDays', label: 'Ranges (every day)', aliases: ['ranges', 'hours', 'availability', 'available times', 'times'] },
+    ...DAY_NAMES.map((day, index) => ({ key: `day${index}`, label: day, aliases: [day.toLowerCase(), day.slice(0, 3).toLowerCase()] })),
+    { key: 'notes', label: 'Notes', aliases: ['notes', 'note', 'comment', 'comments'] },
+    { key: 'tags', label: 'Tags', aliases: ['tags', 'tag', 'groups', 'group'] }
+];
+
+// --- CSV text ---
+
+// Splits CSV text into rows of fields (RFC 4180 quoting, CRLF or LF line ends, optional BOM)
+export function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+    const input = text.replace(/^\uFEFF/, '');
+
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+        if (inQuotes) {
+            if (char === '"' && input[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && input[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+    return rows;
+}
+
+// Joins rows of fields into CSV text, quoting fields that need it
+export function formatCsv(rows) {
+    const quote = (value) => {
+        const text = value === null || value === undefined ? '' : String(value);
+        return /[",\r\n]|^\s|\s$/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    return rows.map(row => row.map(quote).join(',')).join('\r\n') + '\r\n';
+}
+
+// --- Day rules as text ---
+
+// The rule of each day, Monday first, whatever shape the person's rules are saved in
+export function getDailyRules(availableTimes) {
+    const rules = availableTimes || { type: 'n/a' };
+    if (rules.type === 'weekendWeekdays') {
+        return DAY_NAMES.map((_, index) => (index < 5 ? rules.weekdays : rules.weekends) || { type: 'n/a' });
+    }
+    if (rules.type === 'customDays') {
+        return DAY_NAMES.map((_, index) => (rules.dailyRanges && rules.dailyRanges[index]) || { type: 'n/a' });
+    }
+    return DAY_NAMES.map(() => rules);
+}
+
+// 'n/a', 'always', '09:00-17:00' or 'mostlyFree: 18:00-23:00 (preferred 19:00-21:00)'
+export function formatDayRule(rule) {
+    if (!rule || !RULE_TYPES.includes(rule.type) || rule.type === 'n/a') return 'n/a';
+    if (rule.type === 'always') return 'always';
+    const preferredRanges = getRulePreferredRanges(rule);
+    const ranges = getRuleRanges(rule)
+        .map((range, index) => (preferredRanges[index] ? `${range} (preferred ${preferredRanges[index]})` : range))
+        .join(', ');
+    if (rule.type === 'specific') return ranges;
+    return ranges ? `${rule.type}: ${ranges}` : rule.type;
+}
+
+// Reads 'H:MM' or 'HH:MM' as 'HH:MM'; null if it isn't a time of day
+function normalizeTime(text) {
+    const match = text.match(/^(\d{1,2}):(\d{2})$/);
+    if (!match || Number(match[1]) > 23 || Number(match[2]) > 59) return null;
+    return `${match[1].padStart(2, '0')}:${match[2]}`;
+}
+
+function normalizeRange(text) {
+    const [start, end, extra] = text.split('-').map(part => part.trim());
+    const startTime = normalizeTime(start || '');
+    const endTime = normalizeTime(end || '');
+    return extra === undefined && startTime && endTime ? `${startTime}-${endTime}` : null;
+}
+
+// Matches a rule type name loosely ('Mostly Free', 'mostly-free', 'N/A', …); null if unknown
+function matchRuleType(text) {
+    const wanted = text.toLowerCase().replace(/[\s_-]/g, '');
+    if (['na', 'n/a', 'none', 'off', 'unavailable', 'notavailable'].includes(wanted)) return 'n/a';
+    if (['anytime', 'any'].includes(wanted)) return 'always';
+    return RULE_TYPES.find(type => type.toLowerCase() === wanted) || null;
+}
+
+// Parses a day cell written by formatDayRule (or typed by hand). Unprefixed ranges get `defaultType`.
+// Returns { rule } or { error }; a blank cell gives { rule: null }.
+export function parseDayRule(text, defaultType = 'specific') {
+    const cell = (text || '').trim();
+    if (!cell) return { rule: null };
+
+    let type = defaultType;
+    let rangesText = cell;
+    const prefix = cell.match(/^([a-z/ _-]+?)\s*(?::\s*(.*))?$/i);
+    if (prefix) {
+        type = matchRuleType(prefix[1]);
+        if (!type || type === 'weekendWeekdays' || type === 'customDays') return { error: `unknown availability "${cell}"` };
+        rangesText = prefix[2] || '';
+    }
+    if (!RANGE_TYPES.includes(type)) return { rule: { type } };
+
+    const ranges = [];
+    const preferredRanges = [];
+    for (const part of rangesText.split(/[,;]/).map(item => item.trim()).filter(Boolean)) {
+        const match = part.match(/^(.*?)(?:\(\s*preferred\s+(.*)\))?$/i);
+        const range = normalizeRange(match[1]);
+        const preferred = match[2] ? normalizeRange(match[2]) : '';
+        if (!range || preferred === null) return { error: `"${part}" is not a time range like 09:00-17:00` };
+        ranges.push(range);
+        preferredRanges.push(preferred);
+    }
+    if (type === 'specific' && ranges.length === 0) return { error: 'a specific range needs at least one time range' };
+    return { rule: buildAvailabilityRule(type, ranges, preferredRanges) };
+}
+
+// Picks the simplest saved shape for seven day rules: one rule, weekdays/weekends, or custom days.
+// `ruleType` (from the Rule Type column) keeps a weekendWeekdays/customDays person in that shape.
+function buildAvailableTimes(dailyRules, ruleType) {
+    const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+    const weekdaysAlike = dailyRules.slice(1, 5).every(rule => same(rule, dailyRules[0]));
+    const weekendAlike = same(dailyRules[5], dailyRules[6]);
+
+    if (ruleType !== 'customDays' && weekdaysAlike && weekendAlike) {
+        if (ruleType !== 'weekendWeekdays' && same(dailyRules[0], dailyRules[5])) return dailyRules[0];
+        return { type: 'weekendWeekdays', weekdays: dailyRules[0], weekends: dailyRules[5] };
+    }
+    return { type: 'customDays', dailyRanges: dailyRules };
+}
+
+// --- Export ---
+
+// True if the zone's offset differs between January and July of the given year
+export function observesDst(zoneName, year = new Date().getUTCFullYear()) {
+    return getZoneOffsetMinutes(zoneName, Date.UTC(year, 0, 1)) !== getZoneOffsetMinutes(zoneName, Date.UTC(year, 6, 1));
+}
+
+// CSV text for the roster, one row per named person (blank rows are left out)
+export function rosterToCsv(people) {
+    const header = ['Username', 'Timezone', 'DST', 'Rule Type', ...DAY_NAMES, 'Notes', 'Tags'];
+    const rows = people
+        .filter(person => (person.username || '').trim())
+        .map(person => {
+            const timezone = person.timezoneUnset ? '' : person.timezone || '';
+            const availableTimes = person.availableTimes || { type: 'n/a' };
+            return [
+                person.username.trim(),
+                timezone,
+                timezone && observesDst(timezone) ? 'yes' : 'no',
+                availableTimes.type || 'specific',
+                ...getDailyRules(availableTimes).map(formatDayRule),
+                person.note || '',
+                (person.tags || []).join(', ')
+            ];
+        });
+    return formatCsv([header, ...rows]);
+}
+
+// --- Import ---
+
+// Guesses which column holds each field from the header names: { fieldKey: columnIndex }
+export function guessCsvMapping(headers) {
+    const mapping = {};
+    const normalized = headers.map(header => (header || '').trim().toLowerCase().replace(/[_-]/g, ' '));
+    CSV_FIELDS.forEach(field => {
+        const index = normalized.findIndex((header, columnIndex) =>
+            field.aliases.includes(header) && !Object.values(mapping).includes(columnIndex));
+        if (index !== -1) mapping[field.key] = index;
+    });
+    return mapping;
+}
+
+function isTruthyCell(text) {
+    return ['yes', 'y', 'true', '1', 'x', 'on'].includes((text || '').trim().toLowerCase());
+}
+
+// Turns one CSV row into a person for addAvailabilityRow, using `mapping` ({ fieldKey: columnIndex }).
+// `resolveTimezone(text, dst)` returns a zone name or null when the text isn't a timezone.
+// Returns { person, errors }; a person is only usable when `errors` is empty.
+export function csvRowToPerson(values, mapping, { resolveTimezone }) {
+    const cell = (key) => (mapping[key] === undefined ? '' : (values[mapping[key]] || '').trim());
+    const errors = [];
+
+    const username = cell('username');
+    if (!username) errors.push('missing username');
+
+    // A blank timezone imports the person with their timezone unset
+    const timezoneText = cell('timezone');
+    let timezone = 'UTC';
+    if (timezoneText) {
+        timezone = resolveTimezone(timezoneText, isTruthyCell(cell('dst')));
+        if (!timezone) {
+            errors.push(`unknown timezone "${timezoneText}"`);
+            timezone = timezoneText; // Shown as written in the preview
+        }
+    }
+
+    const ruleTypeText = cell('ruleType');
+    const ruleType = ruleTypeText ? matchRuleType(ruleTypeText) : null;
+    if (ruleTypeText && !ruleType) errors.push(`unknown rule type "${ruleTypeText}"`);
+    const defaultType = RANGE_TYPES.includes(ruleType) ? ruleType : 'specific';
+
+    // Day columns win over the every-day column; a rule type like 'always' needs no ranges at all
+    const readRule = (text, label) => {
+        const { rule, error } = parseDayRule(text, defaultType);
+        if (error) errors.push(`${label}: ${error}`);
+        return rule;
+    };
+    const everyDay = readRule(cell('allDays'), 'ranges');
+    let dailyRules = DAY_NAMES.map((day, index) => readRule(cell(`day${index}`), day) || everyDay);
+    if (dailyRules.every(rule => !rule)) {
+        if (ruleType === 'always' || ruleType === 'n/a') {
+            dailyRules = DAY_NAMES.map(() => ({ type: ruleType }));
+        } else if (ruleType === 'unpredictable' || ruleType === 'mostlyFree') {
+            dailyRules = DAY_NAMES.map(() => buildAvailabilityRule(ruleType, []));
+        } else {
+            errors.push('no availability given');
+        }
+    }
+    dailyRules = dailyRules.map(rule => rule || { type: 'n/a' });
+
+    const tags = cell('tags').split(',').map(tag => tag.trim()).filter(Boolean);
+    const person = {
+        username,
+        note: cell('notes'),
+        timezone,
+        timezoneUnset: !timezoneText,
+        availableTimes: buildAvailableTimes(dailyRules, ruleType),
+        exceptions: [],
+        tags: tags.filter((tag, index) => tags.indexOf(tag) === index),
+        iconSrc: ''
+    };
+    return { person, errors };
+}
+
+// Short one-line description of a person's rules for the import preview
+export function describeAvailableTimes(availableTimes) {
+    if (availableTimes.type === 'weekendWeekdays') {
+        return `Weekdays: ${formatDayRule(availableTimes.weekdays)} · Weekends: ${formatDayRule(availableTimes.weekends)}`;
+    }
+    if (availableTimes.type === 'customDays') {
+        return getDailyRules(availableTimes).map((rule, index) => `${DAY_NAMES[index].slice(0, 3)}: ${formatDayRule(rule)}`).join(' · ');
+    }
+    return formatDayRule(availableTimes);
+}
@@ -0,0 +1,97 @@
+// Merging another roster into the current one, person by person: matched by id (so renames are
+// found in copies of the same roster), then by username ignoring case and surrounding spaces.
+// Pure helpers: app.js shows the conflicts and applies the choices made for them.
+import { describeAvailableTimes, formatDayRule } from './roster-csv.js';
+
+// Fields compared between two versions of a person, with how to show each in the diff
+const MERGE_FIELDS = [
+    { key: 'username', label: 'Name', describe: (person) => (person.username || '').trim() },
+    { key: 'timezone', label: 'Timezone', describe: (person) => (person.timezoneUnset ? 'not set' : person.timezone || '') },
+    { key: 'availableTimes', label: 'Availability', describe: (person) => (person.availableTimes ? describeAvailableTimes(person.availableTimes) : '') },
+    {
+        key: 'exceptions',
+        label: 'Exceptions',
+        describe: (person) => (person.exceptions || [])
+            .map(exception => `${exception.startDate}${exception.endDate && exception.endDate !== exception.startDate ? `–${exception.endDate}` : ''}: ${formatDayRule(exception)}`)
+            .join('; ') || 'none'
+    },
+    { key: 'note', label: 'Note', describe: (person) => person.note || '' },
+    { key: 'tags', label: 'Tags', describe: (person) => (person.tags || []).join(', ') },
+    { key: 'iconSrc', label: 'Icon', describe: (person) => (person.iconSrc ? 'has an icon' : 'no icon') }
+];
+
+// The fields a merge copies from their version of a person onto mine
+export const MERGED_PERSON_KEYS = ['username', 'timezone', 'timezoneUnset', 'availableTimes', 'exceptions', 'note', 'tags', 'iconSrc'];
+
+export function normalizeUsername(username) {
+    return (username || '').trim().toLowerCase();
+}
+
+// Compares the comparable part of a field; the timezone also covers the "unset" flag
+function fieldValue(person, key) {
+    if (key === 'username') return normalizeUsername(person.username);
+    if (key === 'timezone') return person.timezoneUnset ? null : person.timezone || '';
+    if (key === 'exceptions' || key === 'tags') return person[key] || [];
+    return person[key] === undefined ? '' : person[key];
+}
+
+// Sorts the incoming people into { added, unchanged, conflicts }. Unchanged entries are
+// { mine, theirs }, conflicts { mine, theirs, fields: [{ key, label, mine, theirs }] } with the
+// differing fields described as text. People without a name are skipped; each of mine is matched
+// at most once, so a name repeated in the incoming roster is added as a new person.
+export function planRosterMerge(currentPeople, incomingPeople) {
+    const mineById = new Map();
+    const mineByName = new Map();
+    currentPeople.forEach(person => {
+        const name = normalizeUsername(person.username);
+        if (person.id) mineById.set(person.id, person);
+        if (name) mineByName.set(name, [...(mineByName.get(name) || []), person]);
+    });
+
+    const plan = { added: [], unchanged: [], conflicts: [] };
+    const matched = new Set();
+    const namedIncoming = incomingPeople.filter(theirs => normalizeUsername(theirs.username));
+    // Id matches first, so a renamed person doesn't lose its row to someone who took the old name
+    const matches = new Map();
+    namedIncoming.forEach(theirs => {
+        const mine = theirs.id ? mineById.get(theirs.id) : null;
+        if (mine && !matched.has(mine)) {
+            matches.set(theirs, mine);
+            matched.add(mine);
+        }
+    });
+    namedIncoming.forEach(theirs => {
+        if (matches.has(theirs)) return;
+        const mine = (mineByName.get(normalizeUsername(theirs.username)) || []).find(person => !matched.has(person));
+        if (mine) {
+            matches.set(theirs, mine);
+            matched.add(mine);
+        }
+    });
+
+    namedIncoming.forEach(theirs => {
+        const mine = matches.get(theirs);
+        if (!mine) {
+            plan.added.push(theirs);
+            return;
+        }
+        const fields = MERGE_FIELDS
+            .filter(field => JSON.stringify(fieldValue(mine, field.key)) !== JSON.stringify(fieldValue(theirs, field.key)))
+            .map(field => ({ key: field.key, label: field.label, mine: field.describe(mine), theirs: field.describe(theirs) }));
+        if (fields.length === 0) {
+            plan.unchanged.push({ mine, theirs });
+        } else {
+            plan.conflicts.push({ mine, theirs, fields });
+        }
+    });
+    return plan;
+}
+
+// 'Sam (2)', 'Sam (3)', … for the first name not in `takenNames` (a Set of normalized names)
+export function makeUniqueUsername(username, takenNames) {
+    const base = username.trim();
+    if (!takenNames.has(normalizeUsername(base))) return base;
+    let copy = 2;
+    while (takenNames.has(normalizeUsername(`${base} (${copy})`))) copy++;
+    return `${base} (${copy})`;
+}
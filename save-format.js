@@ -0,0 +1,399 @@
+// Save format of the roster files (saveToFile), workspaces and undo states, with the migrations
+// from older shapes and a validator that repairs what it can. Pure helpers (no DOM, no Luxon):
+// app.js passes in the timezone checks and shows the load report.
+//
+// Versions:
+//   0 - a bare array of people
+//   1 - { people, embeds, selectedPeopleFilter, quorum, selectedGroup } without a version field;
+//       people may still carry `utcOffset`/`dst` instead of `timezone`, rules only a single `value`
+//       and filters the old 'online'/'offline' states
+//   2 - the same object with `version: 2`, people always with `timezone` and rules with `ranges`
+//   3 - people carry a unique `id`; `selectedPeopleFilter` is keyed by id instead of username
+//   4 - `embeds` is the embed dashboard, a list of widgets { title, code, columns, rows } in grid
+//       order, instead of the `{ left, right }` HTML of the two fixed spots
+//
+// readSaveData returns { data, report }. Report entries are
+//   { person, field, action, message }
+// where `person` is a name ('' for the file itself) and `action` one of
+// 'migrated' | 'repaired' | 'defaulted' | 'rejected'.
+import { RANGE_TYPES, buildAvailabilityRule, normalizeAttendanceRole } from './scheduler.js';
+import { createPersonId } from './people-store.js';
+
+export const SAVE_FORMAT_VERSION = 4;
+
+// Embed dashboard grid: a widget spans 1 to EMBED_GRID_COLUMNS columns and 1 to EMBED_MAX_ROWS rows
+export const EMBED_GRID_COLUMNS = 6;
+export const EMBED_MAX_ROWS = 4;
+const DEFAULT_EMBED_SIZE = { columns: 2, rows: 2 };
+// The two spots before the grid, as widgets: a narrow one on the left, one twice as wide on the right
+const LEGACY_EMBED_SPOTS = [['left', 2], ['right', 4]];
+
+const DAY_NAMES = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'];
+const DAY_RULE_TYPES = ['specific', 'n/a', 'unpredictable', 'mostlyFree', 'always'];
+const DEFAULT_RULE = buildAvailabilityRule('specific', ['09:00-17:00']); // What a new table row starts with
+
+// Thrown for files that can't be loaded at all
+export class SaveFormatError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'SaveFormatError';
+    }
+}
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+function isTimeRange(text) {
+    const match = typeof text === 'string' && text.match(/^(\d{2}):(\d{2})-(\d{2}):(\d{2})$/);
+    return !!match && Number(match[1]) < 24 && Number(match[2]) < 60 && Number(match[3]) < 24 && Number(match[4]) < 60;
+}
+
+function isIsoDate(text) {
+    return typeof text === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(text) && !isNaN(Date.parse(text));
+}
+
+// --- Migrations: each takes the data of version N (and a `note` callback) and returns version N + 1 ---
+
+const MIGRATIONS = [
+    // 0 -> 1: wrap the bare list of people
+    (people) => ({ people }),
+
+    // 1 -> 2: legacy whole-hour offsets become fixed-offset zones; rules get `ranges`
+    // (done by the validator for every version); filters get attendance roles
+    (data, note, { legacyOffsetToTimezone, isValidTimezone }) => ({
+        ...data,
+        people: Array.isArray(data.people) ? data.people.map((person, index) => {
+            if (!isPlainObject(person) || isValidTimezone(person.timezone) || person.utcOffset === undefined) return person;
+            const timezone = legacyOffsetToTimezone(person.utcOffset, person.dst);
+            note(personLabel(person, index), 'timezone', 'migrated',
+                `UTC offset ${person.utcOffset}${person.dst ? ' with DST' : ''} became ${timezone}`);
+            const { utcOffset, dst, ...rest } = person;
+            return { ...rest, timezone };
+        }) : data.people,
+        selectedPeopleFilter: Array.isArray(data.selectedPeopleFilter)
+            ? data.selectedPeopleFilter.map(entry => (Array.isArray(entry) ? [entry[0], normalizeAttendanceRole(entry[1])] : entry))
+            : data.selectedPeopleFilter
+    }),
+
+    // 2 -> 3: people get ids; a filter entry for a name applies to everyone with that name
+    (data) => {
+        if (!Array.isArray(data.people)) return data;
+        const takenIds = new Set();
+        const people = data.people.map(person => {
+            if (!isPlainObject(person)) return person;
+            const id = createPersonId(takenIds);
+            takenIds.add(id);
+            return { ...person, id };
+        });
+        const selectedPeopleFilter = [];
+        (Array.isArray(data.selectedPeopleFilter) ? data.selectedPeopleFilter : []).forEach(entry => {
+            if (!Array.isArray(entry)) {
+                selectedPeopleFilter.push(entry); // Reported by the validator
+                return;
+            }
+            people
+                .filter(person => isPlainObject(person) && person.username === entry[0])
+                .forEach(person => selectedPeopleFilter.push([person.id, entry[1]]));
+        });
+        return { ...data, people, selectedPeopleFilter };
+    },
+
+    // 3 -> 4: the two embed spots become the first widgets of the dashboard, empty ones included
+    // so the layout looks the same
+    (data) => {
+        const embeds = isPlainObject(data.embeds) ? data.embeds : {};
+        return {
+            ...data,
+            embeds: LEGACY_EMBED_SPOTS.map(([side, columns]) => ({
+                title: '',
+                code: typeof embeds[side] === 'string' ? embeds[side] : '',
+                columns,
+                rows: DEFAULT_EMBED_SIZE.rows
+            }))
+        };
+    }
+];
+
+function getSaveDataVersion(data) {
+    if (Array.isArray(data)) return 0;
+    if (!isPlainObject(data)) throw new SaveFormatError('The file does not contain a roster.');
+    if (data.version === undefined) return 1;
+    if (!Number.isInteger(data.version) || data.version < 1) throw new SaveFormatError(`Unknown save format version "${data.version}".`);
+    return data.version;
+}
+
+// --- Validation ---
+
+function personLabel(person, index) {
+    return isPlainObject(person) && typeof person.username === 'string' && person.username.trim()
+        ? person.username.trim()
+        : `Row ${index + 1}`;
+}
+
+// Validates one rule; `dayOnly` rules (days, exceptions) can't be weekendWeekdays/customDays
+function validateRule(rule, field, dayOnly, report) {
+    if (!isPlainObject(rule)) {
+        report('defaulted', field, 'missing, set to N/A');
+        return { type: 'n/a' };
+    }
+    let type = rule.type;
+    if (type === undefined && (rule.value || rule.ranges)) {
+        type = 'specific'; // Old rows without a type were always specific ranges
+    }
+    const allowedTypes = dayOnly ? DAY_RULE_TYPES : [...DAY_RULE_TYPES, 'weekendWeekdays', 'customDays'];
+    if (type === undefined) {
+        report('defaulted', field, 'no rule type, set to N/A');
+        return { type: 'n/a' };
+    }
+    if (!allowedTypes.includes(type)) {
+        report('rejected', field, `unknown rule type "${type}", set to N/A`);
+        return { type: 'n/a' };
+    }
+
+    if (RANGE_TYPES.includes(type)) {
+        const savedRanges = Array.isArray(rule.ranges) && rule.ranges.length > 0 ? rule.ranges : [rule.value];
+        const savedPreferred = Array.isArray(rule.preferredRanges) ? rule.preferredRanges : [];
+        const ranges = [];
+        const preferredRanges = [];
+        savedRanges.forEach((range, index) => {
+            if (!range) return; // Blank range inputs are saved as ''
+            if (!isTimeRange(range)) {
+                report('rejected', field, `dropped the invalid range "${range}"`);
+                return;
+            }
+            let preferred = savedPreferred[index] || '';
+            if (preferred && !isTimeRange(preferred)) {
+                report('rejected', field, `dropped the invalid preferred range "${preferred}"`);
+                preferred = '';
+            }
+            ranges.push(range);
+            preferredRanges.push(preferred);
+        });
+        return buildAvailabilityRule(type, ranges, preferredRanges);
+    }
+    if (type === 'weekendWeekdays') {
+        return {
+            type,
+            weekdays: validateRule(rule.weekdays, `${field} (weekdays)`, true, report),
+            weekends: validateRule(rule.weekends, `${field} (weekends)`, true, report)
+        };
+    }
+    if (type === 'customDays') {
+        let days = rule.dailyRanges;
+        if (!Array.isArray(days)) {
+            report('defaulted', field, 'no day rules, every day set to N/A');
+            days = [];
+        } else if (days.length !== 7) {
+            report('repaired', field, `${days.length} day rules instead of 7, ${days.length < 7 ? 'missing days set to N/A' : 'extra days dropped'}`);
+        }
+        return {
+            type,
+            dailyRanges: DAY_NAMES.map((day, index) => (index < days.length
+                ? validateRule(days[index], `${field} (${day})`, true, report)
+                : { type: 'n/a' }))
+        };
+    }
+    return { type };
+}
+
+function validateExceptions(exceptions, report) {
+    if (exceptions === undefined) return [];
+    if (!Array.isArray(exceptions)) {
+        report('rejected', 'exceptions', 'not a list, dropped');
+        return [];
+    }
+    const valid = [];
+    exceptions.forEach((exception, index) => {
+        if (!isPlainObject(exception) || !isIsoDate(exception.startDate)) {
+            report('rejected', 'exceptions', `dropped exception ${index + 1} without a valid start date`);
+            return;
+        }
+        let endDate = exception.endDate || exception.startDate;
+        if (!isIsoDate(endDate)) {
+            report('repaired', 'exceptions', `exception ${index + 1} had an invalid end date, now a single day`);
+            endDate = exception.startDate;
+        }
+        const [startDate, toDate] = endDate < exception.startDate ? [endDate, exception.startDate] : [exception.startDate, endDate];
+        valid.push({
+            startDate,
+            endDate: toDate,
+            label: typeof exception.label === 'string' ? exception.label : '',
+            ...validateRule(exception, `exception ${index + 1}`, true, report)
+        });
+    });
+    return valid;
+}
+
+function validateTags(tags, report) {
+    if (tags === undefined) return [];
+    let list = tags;
+    if (typeof tags === 'string') {
+        report('repaired', 'tags', 'split the comma-separated text into tags');
+        list = tags.split(',');
+    } else if (!Array.isArray(tags)) {
+        report('rejected', 'tags', 'not a list, dropped');
+        return [];
+    }
+    const valid = [];
+    list.forEach(tag => {
+        const text = typeof tag === 'string' ? tag.trim() : '';
+        if (text && !valid.includes(text)) valid.push(text);
+    });
+    return valid;
+}
+
+function validatePerson(person, index, note, takenIds, { isValidTimezone, defaultTimezone }) {
+    if (!isPlainObject(person)) {
+        note(`Row ${index + 1}`, '', 'rejected', 'not a person, left out');
+        return null;
+    }
+    const label = personLabel(person, index);
+    const report = (action, field, message) => note(label, field, action, message);
+    const text = (field) => {
+        if (person[field] === undefined || typeof person[field] === 'string') return person[field] || '';
+        report('defaulted', field, `not text, cleared`);
+        return '';
+    };
+
+    const valid = {
+        username: text('username'),
+        note: text('note'),
+        timezone: person.timezone,
+        timezoneUnset: !!person.timezoneUnset,
+        availableTimes: DEFAULT_RULE,
+        exceptions: validateExceptions(person.exceptions, report),
+        tags: validateTags(person.tags, report),
+        iconSrc: text('iconSrc')
+    };
+    if (typeof person.id !== 'string' || !person.id || takenIds.has(person.id)) {
+        valid.id = createPersonId(takenIds);
+        // Filter entries for the old id keep pointing at its first owner
+        if (person.id !== undefined || valid.username) {
+            report('repaired', 'id', typeof person.id === 'string' && person.id && takenIds.has(person.id)
+                ? `id "${person.id}" was used twice, given a new one`
+                : 'no id, given a new one');
+        }
+    } else {
+        valid.id = person.id;
+    }
+    takenIds.add(valid.id);
+
+    if (!isValidTimezone(person.timezone)) {
+        valid.timezone = defaultTimezone;
+        // A blank row has nothing to report
+        if (person.timezone !== undefined || valid.username) {
+            report('defaulted', 'timezone', person.timezone === undefined
+                ? `no timezone, set to ${defaultTimezone}`
+                : `unknown timezone "${person.timezone}", set to ${defaultTimezone}`);
+        }
+    }
+    if (person.availableTimes !== undefined) {
+        valid.availableTimes = validateRule(person.availableTimes, 'availability', false, report);
+    } else if (valid.username) {
+        report('defaulted', 'availability', 'no availability, set to 09:00-17:00');
+    }
+    if (valid.iconSrc.startsWith('blob:')) {
+        report('rejected', 'icon', 'the icon was a link to an old browser session, dropped');
+        valid.iconSrc = '';
+    }
+    return valid;
+}
+
+function validateEmbeds(embeds, note) {
+    if (embeds === undefined) return [];
+    if (!Array.isArray(embeds)) {
+        note('', 'embeds', 'rejected', 'the embed dashboard is not a list of widgets, dropped');
+        return [];
+    }
+    const widgets = [];
+    embeds.forEach((widget, index) => {
+        const report = (action, message) => note('', 'embeds', action, `widget ${index + 1}: ${message}`);
+        if (!isPlainObject(widget)) {
+            report('rejected', 'not a widget, left out');
+            return;
+        }
+        const size = (key, max) => {
+            const value = widget[key];
+            if (Number.isInteger(value) && value >= 1 && value <= max) return value;
+            if (value !== undefined) report('repaired', `${key} "${value}" is not 1 to ${max}, set to ${DEFAULT_EMBED_SIZE[key]}`);
+            return DEFAULT_EMBED_SIZE[key];
+        };
+        widgets.push({
+            title: typeof widget.title === 'string' ? widget.title : '',
+            code: typeof widget.code === 'string' ? widget.code : '',
+            columns: size('columns', EMBED_GRID_COLUMNS),
+            rows: size('rows', EMBED_MAX_ROWS)
+        });
+    });
+    return widgets;
+}
+
+// Migrates saved data of any version to the current one and validates every field.
+// Options: isValidTimezone(name), legacyOffsetToTimezone(utcOffset, dst), defaultTimezone.
+// Throws SaveFormatError when there is no roster to load at all.
+export function readSaveData(saved, options) {
+    const report = [];
+    const note = (person, field, action, message) => report.push({ person, field, action, message });
+
+    let version = getSaveDataVersion(saved);
+    if (version > SAVE_FORMAT_VERSION) {
+        note('', 'version', 'rejected', `Saved by a newer version (format ${version}); anything this version doesn't know is left out.`);
+    }
+    let data = saved;
+    if (version < SAVE_FORMAT_VERSION) {
+        note('', 'version', 'migrated', `Upgraded from save format ${version} to ${SAVE_FORMAT_VERSION}.`);
+        for (; version < SAVE_FORMAT_VERSION; version++) {
+            data = MIGRATIONS[version](data, note, options);
+        }
+    }
+    if (!Array.isArray(data.people)) throw new SaveFormatError('The file has no list of people.');
+
+    const takenIds = new Set();
+    const people = data.people
+        .map((person, index) => validatePerson(person, index, note, takenIds, options))
+        .filter(Boolean);
+
+    const selectedPeopleFilter = [];
+    (Array.isArray(data.selectedPeopleFilter) ? data.selectedPeopleFilter : []).forEach(entry => {
+        if (Array.isArray(entry) && typeof entry[0] === 'string') {
+            if (takenIds.has(entry[0])) selectedPeopleFilter.push([entry[0], normalizeAttendanceRole(entry[1])]);
+        } else {
+            note('', 'people filter', 'rejected', `dropped the filter entry ${JSON.stringify(entry)}`);
+        }
+    });
+    const quorum = parseInt(data.quorum, 10);
+    if (data.quorum !== undefined && !(quorum >= 0)) {
+        note('', 'quorum', 'defaulted', `"${data.quorum}" is not a number of people, quorum turned off`);
+    }
+
+    return {
+        data: {
+            version: SAVE_FORMAT_VERSION,
+            people,
+            embeds: validateEmbeds(data.embeds, note),
+            selectedPeopleFilter,
+            quorum: quorum >= 0 ? quorum : 0,
+            selectedGroup: typeof data.selectedGroup === 'string' ? data.selectedGroup : ''
+        },
+        report
+    };
+}
+
+// Reads a stored workspace; when it holds no roster (storage edited or half written), the newest of its
+// snapshots (`{ savedAt, data }`, newest first) that does is read instead. Returns readSaveData's
+// { data, report } and `restoredSnapshot`, the snapshot used or null. Throws the workspace's
+// SaveFormatError when no snapshot can be read either.
+export function readWorkspaceSave(saved, snapshots, options) {
+    try {
+        return { ...readSaveData(saved, options), restoredSnapshot: null };
+    } catch (err) {
+        if (!(err instanceof SaveFormatError)) throw err;
+        for (const snapshot of snapshots) {
+            try {
+                return { ...readSaveData(snapshot && snapshot.data, options), restoredSnapshot: snapshot };
+            } catch (snapshotErr) {
+                if (!(snapshotErr instanceof SaveFormatError)) throw snapshotErr;
+            }
+        }
+        throw err;
+    }
+}
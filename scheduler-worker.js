@@ -0,0 +1,22 @@
+// Module worker running the summary calculations off the main thread.
+// Requests are { id, ...calculateSummarySlots input }; answers are { id, result } or { id, error }.
+// Requests that queue up while a calculation runs are stale: only the latest of them is calculated.
+import { calculateSummarySlots } from './scheduler.js';
+
+let pendingRequest = null;
+
+function runPendingRequest() {
+    const request = pendingRequest;
+    pendingRequest = null;
+    try {
+        self.postMessage({ id: request.id, result: calculateSummarySlots(request) });
+    } catch (error) {
+        self.postMessage({ id: request.id, error: error.message });
+    }
+}
+
+self.onmessage = (event) => {
+    const isScheduled = pendingRequest !== null;
+    pendingRequest = event.data; // Replaces a request still waiting for its turn
+    if (!isScheduled) setTimeout(runPendingRequest, 0);
+};
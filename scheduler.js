@@ -0,0 +1,1086 @@
+// Scheduling engine: availability rules, attendance scoring and slot search.
+// Pure functions without DOM or Luxon, so the same code runs in the page and under Node.
+//
+// A person is { id, username, timezone, availabilityRules, exceptions, timezoneUnset }, where
+// `availabilityRules` is the rule saved as `availableTimes` and `timezone` is an IANA zone or a
+// fixed offset such as 'UTC+5:30'. People with `timezoneUnset` are left out of every search.
+// Times are UTC epoch milliseconds (a Date or Luxon DateTime works too) and slots are given in
+// minutes from the planning start. `selectedPeopleFilter` maps a person's id to their attendance role
+// ('required', 'optional' or 'excluded'). `options` holds { quorumSize, confidenceWeights }.
+//
+// Searches don't evaluate the rules minute by minute: each person's availability is turned into
+// intervals once (buildAttendanceIntervals) and the intervals of everyone are swept into per-minute totals.
+
+// Confidence that someone shows up when available with each type; 'always' is certain
+export const DEFAULT_CONFIDENCE_WEIGHTS = { specific: 1, mostlyFree: 0.8, unpredictable: 0.4 };
+
+// Availability types that are defined by one or more HH:MM-HH:MM ranges
+export const RANGE_TYPES = ['specific', 'unpredictable', 'mostlyFree'];
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+const DAY_NAMES = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'];
+
+// Function to parse HH:MM string to minutes from midnight
+export function timeToMinutes(timeStr) {
+  if (!timeStr) return -1; // Indicate invalid time
+  const [hours, minutes] = timeStr.split(':').map(Number);
+  if (isNaN(hours) || isNaN(minutes)) return -1;
+  return hours * 60 + minutes;
+}
+
+// Function to format minutes duration to HHh MMm
+export function formatMinutesDuration(totalMinutes) {
+  if (totalMinutes < 0) return 'N/A';
+  if (totalMinutes === 0) return '0m';
+  const hours = Math.floor(totalMinutes / 60);
+  const minutes = totalMinutes % 60;
+  let parts = [];
+  if (hours > 0) parts.push(`${hours}h`);
+  if (minutes > 0) parts.push(`${minutes}m`);
+  return parts.join(' ');
+}
+
+// Cache of zone offsets in minutes: zone name => (15-minute UTC bucket => offset).
+// Real-world offset transitions always fall on a quarter hour, so one lookup per bucket is exact.
+const zoneOffsetCache = new Map();
+let zoneOffsetCacheSize = 0;
+const ZONE_OFFSET_BUCKET_MS = 15 * MINUTE_MS;
+
+// One formatter per zone (null for zones Intl doesn't know); building them is the slow part
+const zoneFormatters = new Map();
+
+// Offset in minutes of a fixed-offset zone name like 'UTC+5:30', 'UTC-3' or 'UTC'; null for other zones
+function parseFixedOffsetZone(zoneName) {
+  if (/^(UTC|GMT|Z)$/i.test(zoneName)) return 0;
+  const match = String(zoneName).match(/^(?:UTC|GMT)?([+-])(\d{1,2})(?::?(\d{2}))?$/i);
+  if (!match) return null;
+  const sign = match[1] === '-' ? -1 : 1;
+  return sign * (parseInt(match[2], 10) * 60 + (match[3] ? parseInt(match[3], 10) : 0));
+}
+
+function getZoneFormatter(zoneName) {
+  if (!zoneFormatters.has(zoneName)) {
+    let formatter = null;
+    try {
+      formatter = new Intl.DateTimeFormat('en-US', {
+        timeZone: zoneName, hourCycle: 'h23',
+        year: 'numeric', month: 'numeric', day: 'numeric', hour: 'numeric', minute: 'numeric'
+      });
+    } catch (e) {
+      formatter = null; // Unknown zone: treated as UTC, like an invalid zone in the time pickers
+    }
+    zoneFormatters.set(zoneName, formatter);
+  }
+  return zoneFormatters.get(zoneName);
+}
+
+// Reads the wall-clock fields of a zone at a UTC moment and compares them with UTC
+function computeZoneOffsetMinutes(zoneName, utcMillis) {
+  const fixedOffset = parseFixedOffsetZone(zoneName);
+  if (fixedOffset !== null) return fixedOffset;
+  const formatter = getZoneFormatter(zoneName);
+  if (!formatter) return 0;
+  const parts = {};
+  formatter.formatToParts(new Date(utcMillis)).forEach(({ type, value }) => { parts[type] = parseInt(value, 10); });
+  const wallMillis = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour % 24, parts.minute);
+  return Math.round((wallMillis - utcMillis) / MINUTE_MS);
+}
+
+// Returns the UTC offset (in minutes) of a zone at the given UTC time, DST included
+export function getZoneOffsetMinutes(zoneName, utcTime) {
+  const bucket = Math.floor(Number(utcTime) / ZONE_OFFSET_BUCKET_MS);
+  let zoneOffsets = zoneOffsetCache.get(zoneName);
+  if (!zoneOffsets) {
+    zoneOffsets = new Map();
+    zoneOffsetCache.set(zoneName, zoneOffsets);
+  }
+  let offset = zoneOffsets.get(bucket);
+  if (offset === undefined) {
+    offset = computeZoneOffsetMinutes(zoneName, bucket * ZONE_OFFSET_BUCKET_MS);
+    if (zoneOffsetCacheSize > 50000) { // Keep memory bounded
+      zoneOffsetCache.forEach(offsets => offsets.clear());
+      zoneOffsetCacheSize = 0;
+    }
+    zoneOffsets.set(bucket, offset);
+    zoneOffsetCacheSize++;
+  }
+  return offset;
+}
+
+// 'YYYY-MM-DD' of each local day number already seen
+const isoDateCache = new Map();
+
+// Local wall-clock time in a zone at a UTC time: `minutes` from local midnight, `weekday`
+// (1 = Monday … 7 = Sunday, as in Luxon) and `isoDate` ('YYYY-MM-DD')
+export function getZoneLocalTime(zoneName, utcTime) {
+  const wallMillis = Number(utcTime) + getZoneOffsetMinutes(zoneName, utcTime) * MINUTE_MS;
+  const dayNumber = Math.floor(wallMillis / DAY_MS);
+  let isoDate = isoDateCache.get(dayNumber);
+  if (isoDate === undefined) {
+    isoDate = new Date(dayNumber * DAY_MS).toISOString().slice(0, 10);
+    if (isoDateCache.size > 10000) isoDateCache.clear();
+    isoDateCache.set(dayNumber, isoDate);
+  }
+  return {
+    minutes: Math.floor((wallMillis - dayNumber * DAY_MS) / MINUTE_MS),
+    weekday: ((dayNumber + 3) % 7 + 7) % 7 + 1, // Day 0 (1970-01-01) was a Thursday
+    isoDate
+  };
+}
+
+// UTC time (epoch milliseconds) of a wall-clock time in a zone: `minutes` from local midnight of
+// `isoDate`. The inverse of getZoneLocalTime; a time skipped by a clock change moves forward by the
+// change (02:30 becomes 03:30, as in Luxon) and a time that happens twice gives the first of the two.
+export function getZoneWallClockUtc(zoneName, isoDate, minutes) {
+  const wallMillis = Date.parse(`${isoDate}T00:00:00Z`) + minutes * MINUTE_MS;
+  const offsets = [getZoneOffsetMinutes(zoneName, wallMillis - DAY_MS / 2), getZoneOffsetMinutes(zoneName, wallMillis + DAY_MS / 2)];
+  const matches = offsets
+    .map(offset => wallMillis - offset * MINUTE_MS)
+    .filter((utcMillis, index) => getZoneOffsetMinutes(zoneName, utcMillis) === offsets[index]);
+  return matches.length > 0 ? Math.min(...matches) : wallMillis - offsets[0] * MINUTE_MS;
+}
+
+// Local wall-clock time for a person at the given UTC time
+export function getPersonLocalTime(person, utcTime) {
+  return getZoneLocalTime(person.timezone || 'UTC', utcTime);
+}
+
+// Returns the list of 'HH:MM-HH:MM' ranges of a rule.
+// Rules saved before split shifts existed only carry a single `value` string.
+export function getRuleRanges(rule) {
+    if (!rule) return [];
+    if (Array.isArray(rule.ranges) && rule.ranges.length > 0) {
+        return rule.ranges.filter(Boolean);
+    }
+    return rule.value ? [rule.value] : [];
+}
+
+// Returns the preferred sub-range ('HH:MM-HH:MM' or '') of each range of a rule, aligned with
+// getRuleRanges. A range without a preferred part counts as preferred as a whole.
+export function getRulePreferredRanges(rule) {
+    if (!rule || !Array.isArray(rule.ranges) || !Array.isArray(rule.preferredRanges)) return [];
+    return rule.ranges
+        .map((range, index) => (range ? rule.preferredRanges[index] || '' : null))
+        .filter(preferred => preferred !== null);
+}
+
+// Builds a rule object for saving. `value` keeps the first range so older versions still load it.
+// `preferredRanges` (aligned with `ranges`) is only stored when at least one range has a preferred part.
+export function buildAvailabilityRule(type, ranges, preferredRanges = []) {
+    const rule = { type };
+    if (RANGE_TYPES.includes(type)) {
+        rule.value = ranges[0] || '';
+        rule.ranges = ranges;
+        if (preferredRanges.some(Boolean)) {
+            rule.preferredRanges = ranges.map((_, index) => preferredRanges[index] || '');
+        }
+    }
+    return rule;
+}
+
+// Returns true if a single day rule can ever be available
+export function isRuleEverAvailable(rule) {
+    if (!rule) return false;
+    if (rule.type === 'always') return true;
+    // For range types, availability depends solely on whether a range is defined.
+    // A defined range means they *could* be available.
+    return RANGE_TYPES.includes(rule.type) && getRuleRanges(rule).length > 0;
+}
+
+// NEW HELPER: Check if a person's availability rules ever allow them to be available
+// Dated exceptions count too: someone normally N/A may still have a one-off free day.
+export function isPersonEverAvailable(availabilityRules, exceptions = []) {
+    if (exceptions.some(isRuleEverAvailable)) {
+        return true;
+    }
+    if (!availabilityRules || availabilityRules.type === 'n/a') {
+        return false;
+    }
+    if (availabilityRules.type === 'weekendWeekdays') {
+        return isRuleEverAvailable(availabilityRules.weekdays) || isRuleEverAvailable(availabilityRules.weekends);
+    }
+    if (availabilityRules.type === 'customDays') {
+        // For custom days, check if at least one day has rules that allow availability
+        return !!availabilityRules.dailyRanges && availabilityRules.dailyRanges.some(isRuleEverAvailable);
+    }
+    return isRuleEverAvailable(availabilityRules);
+}
+
+// Parsed ranges by their 'HH:MM-HH:MM' string; the same few strings are looked up for every interval
+const parsedRangeCache = new Map();
+
+// Splits an 'HH:MM-HH:MM' string into start/end minutes; null if either side is invalid
+export function parseTimeRange(rangeStr) {
+    if (!rangeStr) return null;
+    if (parsedRangeCache.has(rangeStr)) return parsedRangeCache.get(rangeStr);
+    const [startTimeStr, endTimeStr] = rangeStr.split('-');
+    const startMinutes = timeToMinutes(startTimeStr);
+    const endMinutes = timeToMinutes(endTimeStr);
+    const parsed = startMinutes === -1 || endMinutes === -1 ? null : { startMinutes, endMinutes };
+    if (parsedRangeCache.size > 10000) parsedRangeCache.clear();
+    parsedRangeCache.set(rangeStr, parsed);
+    return parsed;
+}
+
+// Minutes from currentLocalMinutes until the next start of a single range
+function minutesUntilRangeStart(currentLocalMinutes, rangeStr) {
+    const parsed = parseTimeRange(rangeStr);
+    if (!parsed) return null;
+    const { startMinutes } = parsed;
+    // Start is later today, otherwise it's tomorrow's start (this also covers midnight crossing ranges)
+    return currentLocalMinutes < startMinutes
+        ? startMinutes - currentLocalMinutes
+        : (1440 - currentLocalMinutes) + startMinutes;
+}
+
+// Helper to calculate time until the next available slot for a person.
+// Accepts a single range string or a list of ranges and returns the soonest start.
+export function calculateTimeUntilNextAvailability(currentLocalMinutes, availableTimes) {
+    const ranges = Array.isArray(availableTimes) ? availableTimes : [availableTimes];
+    const waits = ranges
+        .map(range => minutesUntilRangeStart(currentLocalMinutes, range))
+        .filter(wait => wait !== null);
+    if (waits.length === 0) return null;
+    return formatMinutesDuration(Math.min(...waits));
+}
+
+// Helper to check if a minute of the day is within a start/end pair given in minutes
+export function isMinuteInRange(currentLocalMinutes, startMinutes, endMinutes) {
+  if (startMinutes > endMinutes) { // Midnight crossing range (e.g., 23:00-02:00)
+    return currentLocalMinutes >= startMinutes || currentLocalMinutes < endMinutes;
+  } else { // Normal range (e.g., 09:00-17:00)
+    return currentLocalMinutes >= startMinutes && currentLocalMinutes < endMinutes;
+  }
+}
+
+// Helper to check if current time is within a given range
+export function isTimeInRange(currentLocalMinutes, startTimeStr, endTimeStr) {
+  if (!startTimeStr || !endTimeStr) return false;
+  const startMinutes = timeToMinutes(startTimeStr);
+  const endMinutes = timeToMinutes(endTimeStr);
+
+  if (startMinutes === -1 || endMinutes === -1) return false;
+
+  return isMinuteInRange(currentLocalMinutes, startMinutes, endMinutes);
+}
+
+// Returns true if the local minute falls inside any of the given ranges
+function isTimeInAnyRange(currentLocalMinutes, ranges) {
+    return ranges.some(range => {
+        const parsed = parseTimeRange(range);
+        return !!parsed && isMinuteInRange(currentLocalMinutes, parsed.startMinutes, parsed.endMinutes);
+    });
+}
+
+// Minutes left before the person stops being available. Ranges that start exactly where
+// the current one ends (e.g. 12:00-14:00 after 09:00-12:00) are followed as one stretch.
+export function minutesUntilAvailabilityEnds(currentLocalMinutes, ranges) {
+    const parsedRanges = ranges.map(parseTimeRange).filter(Boolean);
+    let remaining = 0;
+    let cursor = currentLocalMinutes;
+    // Bounded by the number of ranges, so chained ranges covering the whole day can't loop forever
+    for (let step = 0; step <= parsedRanges.length; step++) {
+        const current = parsedRanges.find(({ startMinutes, endMinutes }) =>
+            isMinuteInRange(cursor, startMinutes, endMinutes));
+        if (!current) break;
+        const untilEnd = current.endMinutes > cursor
+            ? current.endMinutes - cursor
+            : (1440 - cursor) + current.endMinutes;
+        remaining += untilEnd;
+        cursor = (cursor + untilEnd) % 1440;
+        if (remaining >= 1440) break;
+    }
+    return remaining;
+}
+
+// Whether an available minute lies in the preferred part of the range covering it. Ranges without a
+// preferred sub-range are preferred throughout; otherwise the rest of the range is merely acceptable.
+function isMinuteInPreferredHours(currentLocalMinutes, ranges, preferredRanges) {
+    const inRange = (rangeStr) => {
+        const parsed = parseTimeRange(rangeStr);
+        return !!parsed && isMinuteInRange(currentLocalMinutes, parsed.startMinutes, parsed.endMinutes);
+    };
+    return ranges.some((range, index) => inRange(range) && (!preferredRanges[index] || inRange(preferredRanges[index])));
+}
+
+// Function to process a single availability definition (type + ranges)
+// `ranges` may be a single 'HH:MM-HH:MM' string or an array of them; `preferredRanges` holds the
+// optional preferred sub-range of each.
+// Returns { isAvailable: boolean, isPreferred: boolean, statusText: string, effectiveType: string }
+export function processAvailability(currentLocalMinutes, type, ranges, currentDayType = '', preferredRanges = []) {
+    let isCurrentlyAvailable = false;
+    let isPreferred = false;
+    let availabilityStatusText = '';
+    const rangeList = (Array.isArray(ranges) ? ranges : [ranges]).filter(Boolean);
+    let effectiveType = type; // By default, effective type is the given type
+
+    switch (type) {
+        case 'n/a':
+            isCurrentlyAvailable = false;
+            availabilityStatusText = 'N/A';
+            break;
+        case 'always':
+            isCurrentlyAvailable = true;
+            isPreferred = true;
+            availabilityStatusText = 'Always Available';
+            break;
+        case 'specific':
+        case 'unpredictable':
+        case 'mostlyFree':
+            if (rangeList.length > 0) {
+                isCurrentlyAvailable = isTimeInAnyRange(currentLocalMinutes, rangeList);
+                const prefix = type === 'unpredictable' ? 'Potentially' : (type === 'mostlyFree' ? 'Mostly' : '');
+
+                if (isCurrentlyAvailable) {
+                    const remaining = minutesUntilAvailabilityEnds(currentLocalMinutes, rangeList);
+                    isPreferred = isMinuteInPreferredHours(currentLocalMinutes, rangeList, preferredRanges);
+                    availabilityStatusText = `${prefix} Available${currentDayType ? ` (${currentDayType})` : ''} for ${formatMinutesDuration(remaining)}${isPreferred ? '' : ', acceptable hours'}`;
+                } else {
+                    const timeUntilNext = calculateTimeUntilNextAvailability(currentLocalMinutes, rangeList);
+                    availabilityStatusText = timeUntilNext ? `${prefix} Available${currentDayType ? ` (${currentDayType})` : ''} in ${timeUntilNext}` : `${prefix || 'Specific'} (No range set)`;
+                }
+            } else {
+                // No range provided for a range-based type
+                isCurrentlyAvailable = false;
+                availabilityStatusText = `${type === 'unpredictable' ? 'Unpredictable' : (type === 'mostlyFree' ? 'Mostly Free' : 'Specific')} (No range set)`;
+            }
+            break;
+    }
+    return { isAvailable: isCurrentlyAvailable, isPreferred, statusText: availabilityStatusText, effectiveType: effectiveType };
+}
+
+// Returns the dated exception covering a local 'YYYY-MM-DD' date, or null.
+// When exceptions overlap, the one listed last wins so a later entry can refine an earlier one.
+export function findApplicableException(exceptions, localDate) {
+    if (!exceptions || exceptions.length === 0 || !localDate) return null;
+    for (let i = exceptions.length - 1; i >= 0; i--) {
+        const exception = exceptions[i];
+        const endDate = exception.endDate || exception.startDate;
+        if (exception.startDate && localDate >= exception.startDate && localDate <= endDate) {
+            return exception;
+        }
+    }
+    return null;
+}
+
+// Availability for a local time that falls on an exception day
+function processExceptionAvailability(localMinutes, exception) {
+    const label = exception.label || 'Exception';
+    if (exception.type === 'n/a') {
+        return { isAvailable: false, isPreferred: false, statusText: `Away (${label})`, effectiveType: 'n/a' };
+    }
+    return processAvailability(localMinutes, exception.type, getRuleRanges(exception), label, getRulePreferredRanges(exception));
+}
+
+// Helper to get detailed availability status at a specific local time/day (for current summary list)
+// Dated exceptions for the person's local date are consulted before the weekly rules.
+export function getAvailabilityStatusAtLocalTimeDetailed(localMinutes, localDayOfWeek, availabilityRules, currentDayName, exceptions = [], localDate = '') {
+    let isCurrentlyAvailable = false;
+    let isPreferred = false;
+    let availabilityStatusText = '';
+    let effectiveType = availabilityRules.type;
+
+    const exception = findApplicableException(exceptions, localDate);
+    if (exception) {
+        return processExceptionAvailability(localMinutes, exception);
+    }
+
+    if (availabilityRules.type === 'weekendWeekdays') {
+        const isWeekday = (localDayOfWeek >= 1 && localDayOfWeek <= 5);
+        const isWeekend = (localDayOfWeek === 6 || localDayOfWeek === 7);
+
+        let applicableRule = null;
+        let dayTypeLabel = '';
+
+        if (isWeekday && availabilityRules.weekdays) {
+            applicableRule = availabilityRules.weekdays;
+            dayTypeLabel = 'Weekday';
+        } else if (isWeekend && availabilityRules.weekends) {
+            applicableRule = availabilityRules.weekends;
+            dayTypeLabel = 'Weekend';
+        }
+
+        if (applicableRule) {
+            const ranges = getRuleRanges(applicableRule);
+            const result = processAvailability(localMinutes, applicableRule.type, ranges, dayTypeLabel, getRulePreferredRanges(applicableRule));
+            isCurrentlyAvailable = result.isAvailable;
+            isPreferred = result.isPreferred;
+            availabilityStatusText = result.statusText;
+            effectiveType = result.effectiveType;
+        } else {
+            isCurrentlyAvailable = false;
+            availabilityStatusText = 'Day type availability not set';
+            effectiveType = 'n/a';
+        }
+    } else if (availabilityRules.type === 'customDays') {
+        if (availabilityRules.dailyRanges && availabilityRules.dailyRanges[localDayOfWeek - 1]) {
+            const applicableRule = availabilityRules.dailyRanges[localDayOfWeek - 1];
+            const ranges = getRuleRanges(applicableRule);
+            const result = processAvailability(localMinutes, applicableRule.type, ranges, currentDayName, getRulePreferredRanges(applicableRule));
+            isCurrentlyAvailable = result.isAvailable;
+            isPreferred = result.isPreferred;
+            availabilityStatusText = result.statusText;
+            effectiveType = result.effectiveType;
+        } else {
+            isCurrentlyAvailable = false;
+            availabilityStatusText = 'Daily availability not set';
+            effectiveType = 'n/a';
+        }
+    } else { // Handle specific, n/a, unpredictable, mostlyFree, always
+        const ranges = getRuleRanges(availabilityRules);
+        const result = processAvailability(localMinutes, availabilityRules.type, ranges, '', getRulePreferredRanges(availabilityRules));
+        isCurrentlyAvailable = result.isAvailable;
+        isPreferred = result.isPreferred;
+        availabilityStatusText = result.statusText;
+        effectiveType = result.effectiveType;
+    }
+    return { isAvailable: isCurrentlyAvailable, isPreferred, statusText: availabilityStatusText, effectiveType: effectiveType };
+}
+
+// Helper to check if a person is available at a given local minute and day of week (for best time calculation)
+// `localDate` ('YYYY-MM-DD' in the person's zone) selects any dated exception before the weekly rules apply.
+export function isPersonAvailableAtLocalTime(person, localMinutes, localDayOfWeek, localDate = '') {
+    return getPersonAvailabilityAtLocalTime(person, localMinutes, localDayOfWeek, localDate).isAvailable;
+}
+
+// Whether a person is available at a UTC time, in their own zone
+export function isPersonAvailableAt(person, utcTime) {
+    const { minutes, weekday, isoDate } = getPersonLocalTime(person, utcTime);
+    return isPersonAvailableAtLocalTime(person, minutes, weekday, isoDate);
+}
+
+// Confidence weight (0-1) of an availability type; 'always' is certain
+function getConfidenceWeight(type, confidenceWeights = DEFAULT_CONFIDENCE_WEIGHTS) {
+    if (type in confidenceWeights) return confidenceWeights[type];
+    return 1;
+}
+
+// How likely a person is to show up at a local time (`confidence`: 0 when unavailable, otherwise the
+// weight of the availability type that applies) and whether it is within their preferred hours
+export function getPersonAttendanceAtLocalTime(person, localMinutes, localDayOfWeek, localDate = '', confidenceWeights = DEFAULT_CONFIDENCE_WEIGHTS) {
+    const { isAvailable, isPreferred, effectiveType } = getPersonAvailabilityAtLocalTime(person, localMinutes, localDayOfWeek, localDate);
+    return {
+        confidence: isAvailable ? getConfidenceWeight(effectiveType, confidenceWeights) : 0,
+        isPreferred: isAvailable && isPreferred
+    };
+}
+
+// Availability result ({ isAvailable, effectiveType, ... }) of a person at a local minute and day of week
+export function getPersonAvailabilityAtLocalTime(person, localMinutes, localDayOfWeek, localDate = '') {
+    const { availabilityRules } = person;
+    const unavailable = { isAvailable: false, isPreferred: false, statusText: '', effectiveType: 'n/a' };
+
+    const exception = findApplicableException(person.exceptions, localDate);
+    if (exception) {
+        return processExceptionAvailability(localMinutes, exception);
+    }
+    if (!availabilityRules) return unavailable;
+
+    // currentDayType is used by processAvailability mainly for statusText, not the boolean logic.
+    // However, it expects a string. Weekday 1=Mon, 7=Sun.
+    const currentDayNameForProcess = DAY_NAMES[localDayOfWeek - 1];
+
+    if (availabilityRules.type === 'weekendWeekdays') {
+        const isWeekday = (localDayOfWeek >= 1 && localDayOfWeek <= 5);
+        const isWeekend = (localDayOfWeek === 6 || localDayOfWeek === 7);
+
+        let applicableRule = null;
+        let dayTypeLabel = ''; // For processAvailability's statusText (even if not used for boolean logic)
+
+        if (isWeekday && availabilityRules.weekdays) {
+            applicableRule = availabilityRules.weekdays;
+            dayTypeLabel = 'Weekday';
+        } else if (isWeekend && availabilityRules.weekends) {
+            applicableRule = availabilityRules.weekends;
+            dayTypeLabel = 'Weekend';
+        }
+
+        if (applicableRule) {
+            const ranges = getRuleRanges(applicableRule);
+            return processAvailability(localMinutes, applicableRule.type, ranges, dayTypeLabel, getRulePreferredRanges(applicableRule));
+        }
+        return unavailable; // No applicable rule found for the day type
+    } else if (availabilityRules.type === 'customDays') {
+        if (availabilityRules.dailyRanges && availabilityRules.dailyRanges[localDayOfWeek - 1]) {
+            const applicableRule = availabilityRules.dailyRanges[localDayOfWeek - 1];
+            const ranges = getRuleRanges(applicableRule);
+            return processAvailability(localMinutes, applicableRule.type, ranges, currentDayNameForProcess, getRulePreferredRanges(applicableRule));
+        }
+        return unavailable; // No rule for this specific day
+    } else { // Handle specific, n/a, unpredictable, mostlyFree, always
+        const ranges = getRuleRanges(availabilityRules);
+        return processAvailability(localMinutes, availabilityRules.type, ranges, '', getRulePreferredRanges(availabilityRules));
+    }
+}
+
+// Maps filter states from older saves (hard 'online'/'offline' constraints) onto attendance roles
+export function normalizeAttendanceRole(state) {
+    if (state === 'online' || state === 'required') return 'required';
+    if (state === 'offline' || state === 'excluded') return 'excluded';
+    return 'optional';
+}
+
+// Only people with a known timezone take part in the searches
+function getCalculablePeople(peopleData) {
+    return peopleData.filter(p => !p.timezoneUnset);
+}
+
+// Combines attendance into one sortable score: required attendance first, then expected attendance
+// (confidence-weighted head-count, in hundredths), then how many attendees are in their preferred hours
+// as a tie-breaker. It also checks the quorum: with a quorum set, a time only counts when every required
+// person is present and at least `quorumSize` people attend overall.
+export function scoreAttendance(requiredCount, attendeeCount, requiredTotal, peopleCount, expectedHundredths, preferredCount, quorumSize = 0) {
+    const valid = quorumSize > 0
+        ? requiredCount === requiredTotal && attendeeCount >= quorumSize
+        : true;
+    const attendanceScore = requiredCount * (peopleCount * 100 + 1) + expectedHundredths;
+    return { valid, score: attendanceScore * (peopleCount + 1) + preferredCount };
+}
+
+// Splits a score from scoreAttendance back into required count, expected attendance and preferred count
+export function decodeAttendanceScore(score, peopleCount) {
+    const base = peopleCount * 100 + 1;
+    const attendanceScore = Math.floor(score / (peopleCount + 1));
+    return {
+        requiredCount: Math.floor(attendanceScore / base),
+        expectedAttendance: (attendanceScore % base) / 100,
+        preferredCount: score % (peopleCount + 1)
+    };
+}
+
+// Scores one simulated UTC minute. Looking for availability, the score ranks required attendance first
+// and expected attendance second, and the minute is valid only if it meets the quorum; `count` and
+// `guaranteedCount` are the people available at all and with full confidence. Looking for the worst
+// time, the score is the count of people offline. Excluded people are ignored either way.
+export function scoreMinute(peopleData, selectedPeopleFilter, simulatedUtcTime, isLookingForAvailability = true, options = {}) {
+    const { quorumSize = 0, confidenceWeights = DEFAULT_CONFIDENCE_WEIGHTS } = options;
+    let requiredTotal = 0;
+    let requiredCount = 0;
+    let attendeeCount = 0;
+    let guaranteedCount = 0;
+    let preferredCount = 0;
+    let expectedHundredths = 0;
+    let currentOfflineCount = 0;
+
+    for (const person of peopleData) {
+        const role = selectedPeopleFilter.get(person.id) || 'optional';
+        if (role === 'excluded') continue;
+        if (role === 'required') requiredTotal++;
+
+        const { minutes, weekday, isoDate } = getPersonLocalTime(person, simulatedUtcTime);
+        const { confidence, isPreferred } = getPersonAttendanceAtLocalTime(person, minutes, weekday, isoDate, confidenceWeights);
+
+        if (confidence <= 0) {
+            currentOfflineCount++;
+            continue;
+        }
+        attendeeCount++;
+        if (role === 'required') requiredCount++;
+        if (confidence >= 1) guaranteedCount++;
+        if (isPreferred) preferredCount++;
+        expectedHundredths += Math.round(confidence * 100);
+    }
+
+    if (!isLookingForAvailability) {
+        return { valid: true, score: currentOfflineCount, count: currentOfflineCount, guaranteedCount: currentOfflineCount };
+    }
+    const { valid, score } = scoreAttendance(requiredCount, attendeeCount, requiredTotal, peopleData.length, expectedHundredths, preferredCount, quorumSize);
+    return { valid, score, count: attendeeCount, guaranteedCount };
+}
+
+// Every local minute of the day at which a person's availability can change: the edges of the ranges
+// and preferred ranges of all their rules and exceptions, plus midnight (another day may use another rule)
+function collectLocalBoundaries(person) {
+    const boundaries = new Set([0]);
+    const addRule = rule => {
+        if (!rule) return;
+        [...getRuleRanges(rule), ...getRulePreferredRanges(rule)].forEach(range => {
+            const parsed = parseTimeRange(range);
+            if (!parsed) return;
+            [parsed.startMinutes, parsed.endMinutes].forEach(edge => {
+                if (edge > 0 && edge < 1440) boundaries.add(Math.ceil(edge));
+            });
+        });
+    };
+    const rules = person.availabilityRules;
+    if (rules) {
+        addRule(rules);
+        addRule(rules.weekdays);
+        addRule(rules.weekends);
+        (rules.dailyRanges || []).forEach(addRule);
+    }
+    (person.exceptions || []).forEach(addRule);
+    return Array.from(boundaries).sort((a, b) => a - b);
+}
+
+// First minute in (startMinute, endMinute] where the zone's offset differs from the one at startMinute,
+// or endMinute when it stays the same. Spans are at most a day long, so there is at most one change.
+function findOffsetChange(zoneName, baseMillis, startMinute, endMinute) {
+    const offsetAt = minute => getZoneOffsetMinutes(zoneName, baseMillis + minute * MINUTE_MS);
+    const offset = offsetAt(startMinute);
+    if (offsetAt(endMinute) === offset) return endMinute;
+    let low = startMinute + 1;
+    let high = endMinute;
+    while (low < high) {
+        const middle = Math.floor((low + high) / 2);
+        if (offsetAt(middle) === offset) low = middle + 1;
+        else high = middle;
+    }
+    return low;
+}
+
+// A person's attendance from `baseUtcStart` on as intervals { start, end, confidence, preferred } in
+// minutes from the base (end exclusive). Attendance can only change at the person's range edges, at
+// local midnight and when their offset changes, so the rules are evaluated once per interval.
+export function buildAttendanceIntervals(person, baseUtcStart, totalMinutes, confidenceWeights = DEFAULT_CONFIDENCE_WEIGHTS) {
+    const baseMillis = Number(baseUtcStart);
+    const zoneName = person.timezone || 'UTC';
+    const boundaries = collectLocalBoundaries(person);
+    const intervals = [];
+    let minute = 0;
+    while (minute < totalMinutes) {
+        const { minutes, weekday, isoDate } = getZoneLocalTime(zoneName, baseMillis + minute * MINUTE_MS);
+        const { confidence, isPreferred } = getPersonAttendanceAtLocalTime(person, minutes, weekday, isoDate, confidenceWeights);
+        const nextBoundary = boundaries.find(boundary => boundary > minutes) ?? 1440;
+        const end = findOffsetChange(zoneName, baseMillis, minute, Math.min(minute + nextBoundary - minutes, totalMinutes));
+
+        const last = intervals[intervals.length - 1];
+        if (last && last.confidence === confidence && last.preferred === isPreferred) {
+            last.end = end;
+        } else {
+            intervals.push({ start: minute, end, confidence, preferred: isPreferred });
+        }
+        minute = end;
+    }
+    return intervals;
+}
+
+// Per-minute attendance totals of everyone not excluded, from a sweep over their intervals: each
+// interval adds its person at its start and removes them at its end, and a running sum gives the totals.
+// `getIntervals(person)` returns { start, end, attends, guaranteed, hundredths, preferred } intervals.
+function sweepAttendance(peopleData, selectedPeopleFilter, totalMinutes, getIntervals) {
+    const changes = {
+        attendeeCounts: new Int32Array(totalMinutes + 1),
+        requiredCounts: new Int32Array(totalMinutes + 1),
+        guaranteedCounts: new Int32Array(totalMinutes + 1),
+        preferredCounts: new Int32Array(totalMinutes + 1),
+        expectedHundredths: new Int32Array(totalMinutes + 1)
+    };
+    const addInterval = (change, { start, end }, amount = 1) => {
+        change[start] += amount;
+        change[end] -= amount;
+    };
+    let requiredTotal = 0;
+    let consideredCount = 0;
+
+    for (const person of peopleData) {
+        const role = selectedPeopleFilter.get(person.id) || 'optional';
+        if (role === 'excluded') continue;
+        consideredCount++;
+        if (role === 'required') requiredTotal++;
+
+        for (const interval of getIntervals(person)) {
+            if (!interval.attends) continue;
+            addInterval(changes.attendeeCounts, interval);
+            if (role === 'required') addInterval(changes.requiredCounts, interval);
+            if (interval.guaranteed) addInterval(changes.guaranteedCounts, interval);
+            if (interval.preferred) addInterval(changes.preferredCounts, interval);
+            addInterval(changes.expectedHundredths, interval, interval.hundredths);
+        }
+    }
+
+    const totals = { requiredTotal, consideredCount };
+    Object.entries(changes).forEach(([key, change]) => {
+        const running = new Int32Array(totalMinutes);
+        let sum = 0;
+        for (let minute = 0; minute < totalMinutes; minute++) {
+            sum += change[minute];
+            running[minute] = sum;
+        }
+        totals[key] = running;
+    });
+    return totals;
+}
+
+// Scores each of the next `totalMinutes` minutes like scoreMinute does, from one sweep over everyone
+function scoreMinutes(peopleData, selectedPeopleFilter, baseUtcStart, totalMinutes, isLookingForAvailability = true, options = {}) {
+    const { quorumSize = 0, confidenceWeights = DEFAULT_CONFIDENCE_WEIGHTS } = options;
+    const totals = sweepAttendance(peopleData, selectedPeopleFilter, totalMinutes, person =>
+        buildAttendanceIntervals(person, baseUtcStart, totalMinutes, confidenceWeights).map(({ start, end, confidence, preferred }) => ({
+            start,
+            end,
+            attends: confidence > 0,
+            guaranteed: confidence >= 1,
+            hundredths: Math.round(confidence * 100),
+            preferred
+        })));
+    const minuteScores = Array(totalMinutes).fill(0);
+    const minuteValidFlags = Array(totalMinutes).fill(true);
+    const minuteCounts = Array(totalMinutes).fill(0);
+    const minuteGuaranteedCounts = Array(totalMinutes).fill(0);
+
+    for (let minute = 0; minute < totalMinutes; minute++) {
+        if (!isLookingForAvailability) {
+            const offlineCount = totals.consideredCount - totals.attendeeCounts[minute];
+            minuteScores[minute] = offlineCount;
+            minuteCounts[minute] = offlineCount;
+            minuteGuaranteedCounts[minute] = offlineCount;
+            continue;
+        }
+        const { valid, score } = scoreAttendance(totals.requiredCounts[minute], totals.attendeeCounts[minute], totals.requiredTotal,
+            peopleData.length, totals.expectedHundredths[minute], totals.preferredCounts[minute], quorumSize);
+        minuteValidFlags[minute] = valid;
+        minuteScores[minute] = score;
+        minuteCounts[minute] = totals.attendeeCounts[minute];
+        minuteGuaranteedCounts[minute] = totals.guaranteedCounts[minute];
+    }
+    return { minuteScores, minuteValidFlags, minuteCounts, minuteGuaranteedCounts };
+}
+
+// Scores every minute of the planning span (which may cover several days)
+function scorePlanningSpan(peopleData, selectedPeopleFilter, baseUtcStart, spanMinutes, isLookingForAvailability = true, options = {}) {
+    // A window still open when the span ends keeps going past it (e.g. 23:00 on the last day
+    // until 01:00 the next morning), so score up to a day beyond the span to see how far.
+    const scores = scoreMinutes(peopleData, selectedPeopleFilter, baseUtcStart, spanMinutes + 1440, isLookingForAvailability, options);
+
+    let tailExtension = 0;
+    const tailScore = scores.minuteValidFlags[spanMinutes - 1] ? scores.minuteScores[spanMinutes - 1] : -1;
+    while (tailScore !== -1 && tailExtension < 1440) {
+        const minute = spanMinutes + tailExtension;
+        if (!scores.minuteValidFlags[minute] || scores.minuteScores[minute] !== tailScore) break;
+        tailExtension++;
+    }
+
+    return {
+        minuteScores: scores.minuteScores.slice(0, spanMinutes),
+        minuteValidFlags: scores.minuteValidFlags.slice(0, spanMinutes),
+        minuteCounts: scores.minuteCounts.slice(0, spanMinutes),
+        minuteGuaranteedCounts: scores.minuteGuaranteedCounts.slice(0, spanMinutes),
+        tailScore,
+        tailExtension
+    };
+}
+
+// Per-minute attendance of one person from `baseUtcStart` on: `confidence` in percent (0 = unavailable)
+// and `preferred` (1 = within their preferred hours)
+export function buildAvailabilityTimeline(person, baseUtcStart, totalMinutes, confidenceWeights = DEFAULT_CONFIDENCE_WEIGHTS) {
+    const confidence = new Uint8Array(totalMinutes);
+    const preferred = new Uint8Array(totalMinutes);
+    buildAttendanceIntervals(person, baseUtcStart, totalMinutes, confidenceWeights).forEach(interval => {
+        confidence.fill(Math.round(interval.confidence * 100), interval.start, interval.end);
+        preferred.fill(interval.preferred ? 1 : 0, interval.start, interval.end);
+    });
+    return { confidence, preferred };
+}
+
+// Per-start attendance of one person for meetings of the given length, as intervals of meeting starts
+// { start, end, confidence, preferred }: `confidence` is the lowest confidence (percent) during a meeting
+// starting then, or 0 if they miss any part of it; `preferred` is set when the whole meeting is within
+// their preferred hours. A meeting covers other intervals only once its start or its last minute
+// reaches an interval edge, so it is enough to look at meetings starting at those points.
+function buildMeetingPresenceIntervals(person, baseUtcStart, spanMinutes, meetingLengthMinutes, confidenceWeights = DEFAULT_CONFIDENCE_WEIGHTS) {
+    // Meetings starting late in the span may run past its end
+    const intervals = buildAttendanceIntervals(person, baseUtcStart, spanMinutes + meetingLengthMinutes - 1, confidenceWeights);
+    const startSet = new Set([0]);
+    intervals.forEach(({ start }) => {
+        [start, start - meetingLengthMinutes + 1].forEach(meetingStart => {
+            if (meetingStart > 0 && meetingStart < spanMinutes) startSet.add(meetingStart);
+        });
+    });
+    const starts = Array.from(startSet).sort((a, b) => a - b);
+
+    const presence = [];
+    let first = 0; // First interval still overlapping the meeting
+    starts.forEach((start, index) => {
+        while (intervals[first].end <= start) first++;
+        let confidence = Infinity;
+        let preferred = true;
+        for (let i = first; i < intervals.length && intervals[i].start < start + meetingLengthMinutes; i++) {
+            confidence = Math.min(confidence, Math.round(intervals[i].confidence * 100));
+            preferred = preferred && intervals[i].preferred;
+        }
+        const end = index + 1 < starts.length ? starts[index + 1] : spanMinutes;
+        const last = presence[presence.length - 1];
+        if (last && last.confidence === confidence && last.preferred === preferred) {
+            last.end = end;
+        } else {
+            presence.push({ start, end, confidence, preferred });
+        }
+    });
+    return presence;
+}
+
+// Per-start attendance of one person for meetings of the given length (see buildMeetingPresenceIntervals),
+// one entry per minute of the span
+function buildMeetingPresence(person, baseUtcStart, spanMinutes, meetingLengthMinutes, confidenceWeights = DEFAULT_CONFIDENCE_WEIGHTS) {
+    const confidence = new Uint8Array(spanMinutes);
+    const preferred = new Uint8Array(spanMinutes);
+    buildMeetingPresenceIntervals(person, baseUtcStart, spanMinutes, meetingLengthMinutes, confidenceWeights).forEach(interval => {
+        confidence.fill(interval.confidence, interval.start, interval.end);
+        preferred.fill(interval.preferred ? 1 : 0, interval.start, interval.end);
+    });
+    return { confidence, preferred };
+}
+
+// Scores every possible meeting start in the planning span like scoreMinute, counting only people
+// available for the whole meeting (at their lowest confidence during it)
+function scoreMeetingWindows(peopleData, selectedPeopleFilter, baseUtcStart, spanMinutes, meetingLengthMinutes, options = {}) {
+    const { quorumSize = 0, confidenceWeights = DEFAULT_CONFIDENCE_WEIGHTS } = options;
+    const totals = sweepAttendance(peopleData, selectedPeopleFilter, spanMinutes, person =>
+        buildMeetingPresenceIntervals(person, baseUtcStart, spanMinutes, meetingLengthMinutes, confidenceWeights).map(({ start, end, confidence, preferred }) => ({
+            start,
+            end,
+            attends: confidence > 0,
+            guaranteed: confidence >= 100,
+            hundredths: confidence,
+            preferred
+        })));
+
+    const minuteScores = Array(spanMinutes).fill(0);
+    const minuteValidFlags = Array(spanMinutes).fill(true);
+    for (let start = 0; start < spanMinutes; start++) {
+        const { valid, score } = scoreAttendance(totals.requiredCounts[start], totals.attendeeCounts[start], totals.requiredTotal,
+            peopleData.length, totals.expectedHundredths[start], totals.preferredCounts[start], quorumSize);
+        minuteValidFlags[start] = valid;
+        minuteScores[start] = score;
+    }
+
+    // Window scores already look ahead by the meeting length, so there is no tail to extend
+    return {
+        minuteScores,
+        minuteValidFlags,
+        minuteCounts: totals.attendeeCounts,
+        minuteGuaranteedCounts: totals.guaranteedCounts,
+        tailScore: -1,
+        tailExtension: 0
+    };
+}
+
+// Explains why no time meets the quorum: the required people whose absence alone breaks it
+// (the quorum would be met if they were optional), and the best attendance found with everyone required
+export function explainQuorumFailure(peopleData, selectedPeopleFilter, baseUtcStart, spanMinutes, meetingLengthMinutes = 1, options = {}) {
+    const { quorumSize = 0, confidenceWeights = DEFAULT_CONFIDENCE_WEIGHTS } = options;
+    const getRole = person => selectedPeopleFilter.get(person.id) || 'optional';
+    const consideredPeople = getCalculablePeople(peopleData).filter(p => getRole(p) !== 'excluded');
+    const presences = consideredPeople.map(person => buildMeetingPresence(person, baseUtcStart, spanMinutes, meetingLengthMinutes, confidenceWeights));
+    const requiredIndexes = consideredPeople
+        .map((person, index) => (getRole(person) === 'required' ? index : -1))
+        .filter(index => index !== -1);
+
+    const blockers = [];
+    const unblockedBy = new Set();
+    let bestAttendanceWithAllRequired = 0;
+
+    for (let start = 0; start < spanMinutes; start++) {
+        const attendance = presences.reduce((sum, presence) => sum + (presence.confidence[start] > 0 ? 1 : 0), 0);
+        const missingRequired = requiredIndexes.filter(index => presences[index].confidence[start] === 0);
+        if (missingRequired.length === 0) {
+            bestAttendanceWithAllRequired = Math.max(bestAttendanceWithAllRequired, attendance);
+        } else if (missingRequired.length === 1 && attendance >= quorumSize) {
+            unblockedBy.add(missingRequired[0]);
+        }
+    }
+    const neverAvailable = [];
+    requiredIndexes.forEach(index => {
+        const person = consideredPeople[index];
+        const neverPresent = presences[index].confidence.every(confidence => confidence === 0);
+        if (neverPresent) neverAvailable.push(person.username);
+        if (unblockedBy.has(index)) blockers.push(neverPresent ? `${person.username} (never available)` : person.username);
+    });
+
+    let message;
+    if (blockers.length > 0) {
+        message = `No time meets the quorum of ${quorumSize}: blocked by required ${blockers.join(', ')}.`;
+    } else if (neverAvailable.length > 0) {
+        message = `No time meets the quorum of ${quorumSize}: required ${neverAvailable.join(', ')} never available.`;
+    } else {
+        message = `No time has ${quorumSize} people including all required (best: ${bestAttendanceWithAllRequired}).`;
+    }
+    return { blockers, bestAttendanceWithAllRequired, message };
+}
+
+// Who attends only part of a meeting: people available at some point during it but not for all
+// of it, with how many minutes they miss at the start (join late) or the end (leave early)
+export function describeMeetingAttendance(peopleData, selectedPeopleFilter, baseUtcStart, startMinute, meetingLengthMinutes, options = {}) {
+    const { confidenceWeights = DEFAULT_CONFIDENCE_WEIGHTS } = options;
+    const joinLate = [];
+    const leaveEarly = [];
+    const meetingStartUtc = Number(baseUtcStart) + startMinute * MINUTE_MS;
+
+    getCalculablePeople(peopleData).forEach(person => {
+        if (selectedPeopleFilter.get(person.id) === 'excluded') return;
+        const { confidence } = buildAvailabilityTimeline(person, meetingStartUtc, meetingLengthMinutes, confidenceWeights);
+        const firstAvailable = confidence.findIndex(value => value > 0);
+        if (firstAvailable === -1) return; // Misses the whole meeting
+        const lastAvailable = confidence.findLastIndex(value => value > 0);
+        if (firstAvailable > 0) joinLate.push({ username: person.username, minutes: firstAvailable });
+        if (lastAvailable < meetingLengthMinutes - 1) {
+            leaveEarly.push({ username: person.username, minutes: meetingLengthMinutes - 1 - lastAvailable });
+        }
+    });
+    return { joinLate, leaveEarly };
+}
+
+// Longest contiguous run of valid minutes for every score, found in one pass over the span:
+// score => { startMinute, rangeLengthMinutes }. The earliest run wins ties.
+function findLongestRuns(spanScores) {
+    const { minuteScores, minuteValidFlags, tailScore, tailExtension } = spanScores;
+    const longestRuns = new Map();
+    let runStart = 0;
+
+    for (let i = 1; i <= minuteScores.length; i++) {
+        const runContinues = i < minuteScores.length && minuteValidFlags[i] === minuteValidFlags[runStart]
+            && minuteScores[i] === minuteScores[runStart];
+        if (runContinues) continue;
+        if (minuteValidFlags[runStart]) {
+            const score = minuteScores[runStart];
+            let runLength = i - runStart;
+            if (i === minuteScores.length && score === tailScore) runLength += tailExtension;
+            const best = longestRuns.get(score);
+            if (!best || runLength > best.rangeLengthMinutes) {
+                longestRuns.set(score, { startMinute: runStart, rangeLengthMinutes: runLength });
+            }
+        }
+        runStart = i;
+    }
+    return longestRuns;
+}
+
+// Longest contiguous run of valid minutes with the target score; the earliest run wins ties
+function findLongestRun(spanScores, targetScore) {
+    return findLongestRuns(spanScores).get(targetScore) || { startMinute: -1, rangeLengthMinutes: 0 };
+}
+
+// Longest stretch with the best score (or, looking for the worst time, the most people offline).
+// Without a base it plans today from UTC midnight.
+export function findContiguousTimeRange(peopleData, isLookingForAvailability = true, selectedPeopleFilter = new Map(), baseUtcStart = null, spanMinutes = 1440, options = {}) {
+    const nowUtcStartOfDay = baseUtcStart == null ? Math.floor(Date.now() / DAY_MS) * DAY_MS : baseUtcStart;
+    const noRange = { count: 0, range: { startMinute: -1, endMinute: -1 }, rangeLengthMinutes: 0 };
+    const calculablePeople = getCalculablePeople(peopleData);
+
+    // If there are no people to calculate an optimal time for
+    if (calculablePeople.length === 0) return noRange;
+
+    // Calculate score and validity for each minute of the span
+    const spanScores = scorePlanningSpan(calculablePeople, selectedPeopleFilter, nowUtcStartOfDay, spanMinutes, isLookingForAvailability, options);
+
+    // Step 1: Find the absolute maximum score among all *valid* minutes.
+    let targetScore = -1;
+    for (let minute = 0; minute < spanMinutes; minute++) {
+        if (spanScores.minuteValidFlags[minute]) {
+            targetScore = Math.max(targetScore, spanScores.minuteScores[minute]);
+        }
+    }
+
+    // If no valid minutes or no one is available/offline in any valid minute.
+    // For worst time, a score of 0 means everyone is always online, so there is no meaningful "worst time".
+    if (targetScore <= 0) return noRange;
+
+    // Step 2: Find the longest contiguous range of minutes that *all* have the `targetScore` and are `valid`.
+    // Minutes are counted from the planning start, so ranges crossing midnight stay contiguous.
+    const { startMinute, rangeLengthMinutes } = findLongestRun(spanScores, targetScore);
+
+    return {
+        count: spanScores.minuteCounts[startMinute],
+        range: { startMinute, endMinute: startMinute + rangeLengthMinutes - 1 },
+        rangeLengthMinutes
+    };
+}
+
+// Longest stretch with the most people offline
+export function calculateWorstAvailabilityTime(peopleData, selectedPeopleFilter, baseUtcStart, spanMinutes = 1440, options = {}) {
+    return findContiguousTimeRange(peopleData, false, selectedPeopleFilter, baseUtcStart, spanMinutes, options);
+}
+
+// Builds an ordered list of the best-to-worst availability windows across the planning span, one per
+// attendance (required, then expected); preferred hours only pick which window each attendance gets.
+// With a meeting length, minutes are scored as meeting starts by who can stay for the whole meeting,
+// and each window covers every start of its run plus the meeting that follows the last one.
+export function getOrderedAvailabilityRanges(peopleData, selectedPeopleFilter, baseUtcStart, spanMinutes = 1440, meetingLengthMinutes = 1, options = {}) {
+  const calculablePeople = getCalculablePeople(peopleData);
+
+  // 1) Compute score & validity per minute
+  const spanScores = meetingLengthMinutes > 1
+    ? scoreMeetingWindows(calculablePeople, selectedPeopleFilter, baseUtcStart, spanMinutes, meetingLengthMinutes, options)
+    : scorePlanningSpan(calculablePeople, selectedPeopleFilter, baseUtcStart, spanMinutes, true, options);
+
+  // 2) Group the valid scores by attendance and keep each group's best score, the one with the most
+  //    people in their preferred hours; descending, so groups come in order of attendance
+  const bestScoreByAttendance = new Map();
+  spanScores.minuteScores.forEach((score, i) => {
+    if (!spanScores.minuteValidFlags[i]) return;
+    const attendance = Math.floor(score / (calculablePeople.length + 1)); // Score without the preferred count
+    if (!(bestScoreByAttendance.get(attendance) >= score)) bestScoreByAttendance.set(attendance, score);
+  });
+  const scores = Array.from(bestScoreByAttendance.values()).sort((a, b) => b - a);
+
+  // 3) For each score, take the longest contiguous segment
+  const longestRuns = findLongestRuns(spanScores);
+  const ranges = [];
+  scores.forEach(score => {
+    const { startMinute, rangeLengthMinutes: runLength } = longestRuns.get(score);
+    const rangeLengthMinutes = runLength + meetingLengthMinutes - 1;
+    const { requiredCount, expectedAttendance, preferredCount } = decodeAttendanceScore(score, calculablePeople.length);
+    ranges.push({
+      count: spanScores.minuteCounts[startMinute],
+      guaranteedCount: spanScores.minuteGuaranteedCounts[startMinute],
+      expectedAttendance,
+      preferredCount,
+      requiredCount,
+      startMinute,
+      endMinute: startMinute + rangeLengthMinutes - 1,
+      rangeLengthMinutes
+    });
+  });
+  return ranges;
+}
+
+// Hourly slots for every hour of the planning span, in chronological order.
+// With a meeting length, each hour counts the people who can stay for a meeting starting then.
+export function generateHourlyTimeSlots(peopleData, selectedPeopleFilter, baseUtcStart, spanMinutes = 1440, meetingLengthMinutes = 1, options = {}) {
+    const calculablePeople = getCalculablePeople(peopleData);
+    const hourlySlots = [];
+    const slotLengthMinutes = Math.max(60, meetingLengthMinutes);
+    const spanScores = meetingLengthMinutes > 1
+        ? scoreMeetingWindows(calculablePeople, selectedPeopleFilter, baseUtcStart, spanMinutes, meetingLengthMinutes, options)
+        : scoreMinutes(calculablePeople, selectedPeopleFilter, baseUtcStart, spanMinutes, true, options);
+    for (let startMinute = 0; startMinute < spanMinutes; startMinute += 60) {
+        const endMinute = startMinute + slotLengthMinutes - 1;
+
+        // Hours that miss the quorum are not shown in the "All Hourly Slots" view.
+        const valid = spanScores.minuteValidFlags[startMinute];
+        const score = spanScores.minuteScores[startMinute];
+        const count = spanScores.minuteCounts[startMinute];
+        const guaranteedCount = spanScores.minuteGuaranteedCounts[startMinute];
+
+        if (valid) { // Only add if it meets the quorum
+            const { requiredCount, expectedAttendance, preferredCount } = decodeAttendanceScore(score, calculablePeople.length);
+            hourlySlots.push({
+                count,
+                guaranteedCount,
+                expectedAttendance,
+                preferredCount,
+                requiredCount,
+                startMinute: startMinute,
+                endMinute: endMinute,
+                rangeLengthMinutes: slotLengthMinutes
+            });
+        }
+    }
+    return hourlySlots;
+}
+
+// Everything the summary needs from one roster in a single call, so the page can run it in a worker:
+// the slots of the display mode ('optimal' ranges or 'hourly' slots), why nothing meets the quorum
+// when no slot does, and the worst time
+export function calculateSummarySlots({ people, selectedPeopleFilter = new Map(), baseUtcStart, spanMinutes = 1440, meetingLengthMinutes = 1, displayMode = 'optimal', options = {} }) {
+    const slots = displayMode === 'hourly'
+        ? generateHourlyTimeSlots(people, selectedPeopleFilter, baseUtcStart, spanMinutes, meetingLengthMinutes, options)
+        : getOrderedAvailabilityRanges(people, selectedPeopleFilter, baseUtcStart, spanMinutes, meetingLengthMinutes, options);
+    const quorumFailure = slots.length === 0 && options.quorumSize > 0
+        ? explainQuorumFailure(people, selectedPeopleFilter, baseUtcStart, spanMinutes, meetingLengthMinutes, options)
+        : null;
+    const worst = calculateWorstAvailabilityTime(people, selectedPeopleFilter, baseUtcStart, spanMinutes, options);
+    return { slots, quorumFailure, worst };
+}
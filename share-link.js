@@ -0,0 +1,69 @@
+// Share links: the roster, compressed into the URL fragment ('#view=…'), opened read-only by
+// whoever follows the link. The fragment never reaches a server.
+//
+// The payload is the save format (see save-format.js) without embeds, deflated and base64url
+// encoded. Its first character tells how: 'z' for deflate-raw, 'j' for plain JSON where the
+// browser has no CompressionStream.
+
+export const SHARE_FRAGMENT_PREFIX = '#view=';
+
+// The part of the saved data that goes into a link: named people and the filters that decide
+// the best time. Icons and notes make links much longer, so they are optional.
+export function buildSharedRoster(data, { includeIconsAndNotes = false } = {}) {
+    const people = data.people
+        .filter(person => (person.username || '').trim())
+        .map(person => {
+            if (includeIconsAndNotes) return person;
+            const { iconSrc, note, ...rest } = person;
+            return rest;
+        });
+    return {
+        version: data.version,
+        people,
+        selectedPeopleFilter: data.selectedPeopleFilter,
+        quorum: data.quorum,
+        selectedGroup: data.selectedGroup
+    };
+}
+
+function bytesToBase64Url(bytes) {
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function base64UrlToBytes(text) {
+    const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+    return Uint8Array.from(binary, char => char.charCodeAt(0));
+}
+
+// Runs bytes through a CompressionStream or DecompressionStream
+async function pipeBytes(bytes, stream) {
+    const buffer = await new Response(new Blob([bytes]).stream().pipeThrough(stream)).arrayBuffer();
+    return new Uint8Array(buffer);
+}
+
+// Fragment ('#view=…') for a shared roster
+export async function encodeShareFragment(roster) {
+    const bytes = new TextEncoder().encode(JSON.stringify(roster));
+    if (typeof CompressionStream === 'undefined') {
+        return `${SHARE_FRAGMENT_PREFIX}j${bytesToBase64Url(bytes)}`;
+    }
+    return `${SHARE_FRAGMENT_PREFIX}z${bytesToBase64Url(await pipeBytes(bytes, new CompressionStream('deflate-raw')))}`;
+}
+
+// The roster in a '#view=…' fragment; rejects when the link is cut off or corrupt
+export async function decodeShareFragment(hash) {
+    if (!hash.startsWith(SHARE_FRAGMENT_PREFIX)) throw new Error('Not a share link.');
+    const payload = hash.slice(SHARE_FRAGMENT_PREFIX.length);
+    const encoding = payload[0];
+    let bytes = base64UrlToBytes(payload.slice(1));
+    if (encoding === 'z') {
+        bytes = await pipeBytes(bytes, new DecompressionStream('deflate-raw'));
+    } else if (encoding !== 'j') {
+        throw new Error('Unknown share link encoding.');
+    }
+    return JSON.parse(new TextDecoder().decode(bytes));
+}
@@ -0,0 +1,46 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { EMBED_SANDBOX, parseEmbedHosts, sanitizeEmbedHtml } from '../embed-sanitizer.js';
+
+test('a Discord widget is kept, rebuilt with the sandbox', () => {
+  const code = '<iframe src="https://discord.com/widget?id=123&amp;theme=dark" width="350" height="500" allowtransparency="true" frameborder="0" sandbox="allow-popups allow-popups-to-escape-sandbox allow-same-origin allow-scripts"></iframe>';
+  const { html, stripped } = sanitizeEmbedHtml(code);
+  assert.deepEqual(stripped, []);
+  assert.equal(html, `<iframe src="https://discord.com/widget?id=123&amp;theme=dark" width="350" height="500" allowtransparency="true" frameborder="0" sandbox="${EMBED_SANDBOX.join(' ')}"></iframe>`);
+  assert.match(sanitizeEmbedHtml('<iframe src="https://ptb.discord.com/widget" sandbox="allow-scripts"></iframe>').html, /sandbox="allow-scripts"/);
+  assert.equal(sanitizeEmbedHtml(html).html, html); // Saved embeds come back unchanged
+});
+
+test('scripts, handlers, other elements and other hosts are stripped and reported', () => {
+  const { html, stripped } = sanitizeEmbedHtml(
+    '<div onclick="steal()">Hi <script>alert("<iframe src=\'https://discord.com/x\'>")</script>' +
+    '<iframe src="https://discord.com/widget" style="position:fixed" onload="steal()" width="9e9"></iframe>' +
+    '<iframe src="https://evil.example/"></iframe><iframe src="javascript:alert(1)"></iframe><img src=x onerror=alert(1)></div>' +
+    '<button class="delete-embed-btn" title="Remove Widget">✕</button>'
+  );
+  assert.equal(html, `<iframe src="https://discord.com/widget" sandbox="${EMBED_SANDBOX.join(' ')}"></iframe>`);
+  assert.deepEqual(stripped, [
+    '<div> element', 'onclick attribute', 'text "Hi"', '<script> element',
+    'style attribute', 'onload attribute', 'width="9e9" attribute',
+    'iframe from evil.example (not an allowed host)', 'iframe with a javascript: address (only https is allowed)',
+    '<img> element', 'onerror attribute'
+  ]);
+});
+
+test("frames from the page's own host or a domain above it are refused even when allowed", () => {
+  const hosts = parseEmbedHosts('github.io discord.com');
+  const code = '<iframe src="https://me.github.io/planner/evil.html"></iframe><iframe src="https://github.io/"></iframe><iframe src="https://other.github.io/"></iframe>';
+  const { html, stripped } = sanitizeEmbedHtml(code, hosts, 'me.github.io');
+  assert.equal(html, `<iframe src="https://other.github.io/" sandbox="${EMBED_SANDBOX.join(' ')}"></iframe>`);
+  assert.deepEqual(stripped, [
+    "iframe from me.github.io (this page's own site can't be embedded)",
+    "iframe from github.io (this page's own site can't be embedded)"
+  ]);
+});
+
+test('allowed hosts are read from a loose list and match subdomains only', () => {
+  const hosts = parseEmbedHosts('https://Example.com/path, *.widgets.io\nnot a host, example.com');
+  assert.deepEqual(hosts, ['example.com', 'widgets.io']);
+  assert.equal(sanitizeEmbedHtml('<iframe src="https://www.example.com/"></iframe>', hosts).stripped.length, 0);
+  assert.deepEqual(sanitizeEmbedHtml('<iframe src="https://badexample.com/"></iframe>', hosts).stripped, ['iframe from badexample.com (not an allowed host)']);
+});
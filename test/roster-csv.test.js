@@ -0,0 +1,57 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseCsv, formatCsv, formatDayRule, parseDayRule, rosterToCsv, guessCsvMapping, csvRowToPerson } from '../roster-csv.js';
+
+// Accepts zone names and 'UTC+N' offsets, like the app's resolver without Luxon
+const resolveTimezone = (text, dst) => {
+  const offset = text.match(/^UTC([+-]\d+)$/);
+  if (offset) return `UTC${Number(offset[1]) + (dst ? 1 : 0) >= 0 ? '+' : ''}${Number(offset[1]) + (dst ? 1 : 0)}`;
+  return ['UTC', 'Europe/Berlin', 'America/New_York'].includes(text) ? text : null;
+};
+
+test('CSV text round-trips quotes, commas and line breaks', () => {
+  const rows = [['name', 'note'], ['Ana', 'says "hi", then\nleaves'], ['Bo', '']];
+  assert.deepEqual(parseCsv(formatCsv(rows)), rows);
+  assert.deepEqual(parseCsv('\uFEFFa,b\r\n1,2'), [['a', 'b'], ['1', '2']]);
+});
+
+test('day rules are written and read back as text', () => {
+  const rule = { type: 'mostlyFree', value: '18:00-23:00', ranges: ['18:00-23:00', '07:00-08:00'], preferredRanges: ['19:00-21:00', ''] };
+  const text = formatDayRule(rule);
+  assert.equal(text, 'mostlyFree: 18:00-23:00 (preferred 19:00-21:00), 07:00-08:00');
+  assert.deepEqual(parseDayRule(text).rule, rule);
+  assert.deepEqual(parseDayRule('9:00 - 17:00; 20:00-21:00').rule.ranges, ['09:00-17:00', '20:00-21:00']);
+  assert.deepEqual(parseDayRule('N/A').rule, { type: 'n/a' });
+  assert.match(parseDayRule('9am-5pm').error, /not a time range/);
+});
+
+test('an exported roster imports back into the same rules', () => {
+  const people = [
+    { username: 'Cy', timezone: 'Europe/Berlin', note: 'Late, mostly', tags: ['EU'],
+      availableTimes: { type: 'weekendWeekdays', weekdays: { type: 'specific', value: '18:00-22:00', ranges: ['18:00-22:00'] }, weekends: { type: 'always' } } },
+    { username: '', timezone: 'UTC', availableTimes: { type: 'always' } }
+  ];
+  const [header, ...rows] = parseCsv(rosterToCsv(people));
+  assert.equal(rows.length, 1); // Blank rows are left out
+  assert.equal(rows[0][2], 'yes'); // Berlin observes DST
+  const { person, errors } = csvRowToPerson(rows[0], guessCsvMapping(header), { resolveTimezone });
+  assert.deepEqual(errors, []);
+  assert.deepEqual([person.username, person.timezone, person.note, person.tags], ['Cy', 'Europe/Berlin', 'Late, mostly', ['EU']]);
+  assert.deepEqual(person.availableTimes, people[0].availableTimes);
+});
+
+test('hand-written sheets map loosely and report row errors', () => {
+  const mapping = guessCsvMapping(['Name', 'TZ', 'DST', 'Hours', 'Sat']);
+  assert.deepEqual(mapping, { username: 0, timezone: 1, dst: 2, allDays: 3, day5: 4 });
+
+  const { person } = csvRowToPerson(['Di', 'UTC+1', 'yes', '09:00-17:00', 'n/a'], mapping, { resolveTimezone });
+  assert.equal(person.timezone, 'UTC+2');
+  assert.equal(person.availableTimes.type, 'customDays');
+  assert.deepEqual(person.availableTimes.dailyRanges[5], { type: 'n/a' });
+
+  const unset = csvRowToPerson(['Eli', '', '', 'always', ''], mapping, { resolveTimezone }).person;
+  assert.deepEqual([unset.timezoneUnset, unset.availableTimes], [true, { type: 'always' }]);
+
+  assert.deepEqual(csvRowToPerson(['', 'Mars/Base', '', '', ''], mapping, { resolveTimezone }).errors,
+    ['missing username', 'unknown timezone "Mars/Base"', 'no availability given']);
+});
@@ -0,0 +1,49 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { planRosterMerge, makeUniqueUsername } from '../roster-merge.js';
+
+const person = (username, extra = {}) => ({ username, timezone: 'UTC', availableTimes: { type: 'always' }, exceptions: [], note: '', tags: [], iconSrc: '', ...extra });
+
+test('incoming people are matched by name and sorted into added, unchanged and conflicts', () => {
+  const mine = [person('Sam', { id: 'person-1' }), person('Kim', { id: 'person-2' }), person('', { id: 'person-3' })];
+  const theirs = [
+    person(' sam', { timezone: 'Europe/Berlin', note: 'back Friday' }),
+    person('Kim'),
+    person('Ray'),
+    person('Ray', { timezone: 'Asia/Tokyo' }),
+    person('')
+  ];
+  const plan = planRosterMerge(mine, theirs);
+  assert.deepEqual(plan.unchanged.map(match => match.theirs.username), ['Kim']);
+  assert.deepEqual(plan.added.map(p => [p.username, p.timezone]), [['Ray', 'UTC'], ['Ray', 'Asia/Tokyo']]);
+  assert.equal(plan.conflicts.length, 1);
+  assert.equal(plan.conflicts[0].mine.id, 'person-1');
+  assert.deepEqual(plan.conflicts[0].fields, [
+    { key: 'timezone', label: 'Timezone', mine: 'UTC', theirs: 'Europe/Berlin' },
+    { key: 'note', label: 'Note', mine: '', theirs: 'back Friday' }
+  ]);
+});
+
+test('people are matched by id before name, so renames show up as a name change', () => {
+  const mine = [person('Sam', { id: 'p-sam' }), person('Sam', { id: 'p-other' }), person('Kim', { id: 'p-kim' })];
+  const theirs = [person('Sam', { id: 'p-new' }), person('Samuel', { id: 'p-sam' })];
+  const { added, unchanged, conflicts } = planRosterMerge(mine, theirs);
+  assert.deepEqual(added, []);
+  assert.deepEqual(unchanged.map(match => [match.mine.id, match.theirs.id]), [['p-other', 'p-new']]);
+  assert.equal(conflicts[0].mine.id, 'p-sam');
+  assert.deepEqual(conflicts[0].fields, [{ key: 'username', label: 'Name', mine: 'Sam', theirs: 'Samuel' }]);
+});
+
+test('an unset timezone differs from a set one, and missing lists equal empty ones', () => {
+  const { conflicts, unchanged } = planRosterMerge(
+    [person('Lee', { timezoneUnset: true }), person('Mo')],
+    [person('Lee'), { ...person('Mo'), exceptions: undefined, tags: undefined }]
+  );
+  assert.deepEqual(conflicts[0].fields.map(field => [field.mine, field.theirs]), [['not set', 'UTC']]);
+  assert.deepEqual(unchanged.map(match => match.mine.username), ['Mo']);
+});
+
+test('kept copies get the first free numbered name', () => {
+  assert.equal(makeUniqueUsername('Ray', new Set(['sam'])), 'Ray');
+  assert.equal(makeUniqueUsername('Sam', new Set(['sam', 'sam (2)'])), 'Sam (3)');
+});
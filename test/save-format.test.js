@@ -0,0 +1,111 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SAVE_FORMAT_VERSION, SaveFormatError, readSaveData, readWorkspaceSave } from '../save-format.js';
+
+const options = {
+  isValidTimezone: (zone) => ['UTC', 'UTC+6:30', 'Europe/Berlin'].includes(zone),
+  legacyOffsetToTimezone: (utcOffset, dst) => (utcOffset === '5.5' && dst ? 'UTC+6:30' : 'UTC'),
+  defaultTimezone: 'UTC'
+};
+const actions = (report, person) => report.filter(entry => entry.person === person).map(entry => `${entry.action} ${entry.field}`);
+
+test('bare lists and unversioned files are migrated to the current version', () => {
+  const { data, report } = readSaveData([{ username: 'Alex', utcOffset: '5.5', dst: true, availableTimes: { type: 'specific', value: '18:00-23:00' } }], options);
+  assert.equal(data.version, SAVE_FORMAT_VERSION);
+  assert.deepEqual(data.people[0].timezone, 'UTC+6:30');
+  assert.deepEqual(data.people[0].availableTimes, { type: 'specific', value: '18:00-23:00', ranges: ['18:00-23:00'] });
+  assert.deepEqual(actions(report, ''), ['migrated version']);
+  assert.deepEqual(actions(report, 'Alex'), ['migrated timezone']);
+
+  const { data: filtered } = readSaveData({
+    people: [{ username: 'Alex', timezone: 'UTC' }, { username: 'Bea', timezone: 'UTC' }, { username: 'Bea', timezone: 'UTC' }],
+    selectedPeopleFilter: [['Alex', 'online'], ['Bea', 'offline'], ['Gone', 'online']]
+  }, options);
+  const [alex, bea, otherBea] = filtered.people.map(person => person.id);
+  assert.equal(new Set([alex, bea, otherBea]).size, 3);
+  assert.deepEqual(filtered.selectedPeopleFilter, [[alex, 'required'], [bea, 'excluded'], [otherBea, 'excluded']]);
+});
+
+test('current files load without a report', () => {
+  const saved = {
+    version: SAVE_FORMAT_VERSION,
+    people: [{ id: 'p-bea', username: 'Bea', note: '', timezone: 'Europe/Berlin', timezoneUnset: false, tags: ['EU'], iconSrc: '', exceptions: [],
+      availableTimes: { type: 'weekendWeekdays', weekdays: { type: 'n/a' }, weekends: { type: 'always' } } }],
+    embeds: [{ title: 'Voice', code: '', columns: 3, rows: 1 }], selectedPeopleFilter: [['p-bea', 'required']], quorum: 2, selectedGroup: 'EU'
+  };
+  const { data, report } = readSaveData(saved, options);
+  assert.deepEqual(report, []);
+  assert.deepEqual(data, saved);
+});
+
+test('broken fields are repaired, defaulted or rejected and reported per person', () => {
+  const { data, report } = readSaveData({ version: 2, people: [
+    { username: 'Cid', timezone: 'Nowhere/Land', tags: 'a, b', availableTimes: { type: 'bogus' } },
+    { username: 'Dee', timezone: 'UTC', availableTimes: { type: 'customDays', dailyRanges: [{ type: 'always' }, { type: 'specific', ranges: ['9-5', '10:00-11:00'] }] },
+      exceptions: [{ startDate: 'soon' }, { startDate: '2024-02-03', endDate: '2024-02-01', type: 'n/a' }] },
+    'junk'
+  ], quorum: 'many' }, options);
+
+  assert.equal(data.people.length, 2);
+  assert.deepEqual(actions(report, 'Cid'), ['repaired tags', 'defaulted timezone', 'rejected availability']);
+  assert.deepEqual([data.people[0].timezone, data.people[0].tags, data.people[0].availableTimes], ['UTC', ['a', 'b'], { type: 'n/a' }]);
+
+  assert.deepEqual(actions(report, 'Dee'), ['rejected exceptions', 'repaired availability', 'rejected availability (Tuesday)']);
+  const days = data.people[1].availableTimes.dailyRanges;
+  assert.equal(days.length, 7);
+  assert.deepEqual(days[1].ranges, ['10:00-11:00']);
+  assert.deepEqual(data.people[1].exceptions, [{ startDate: '2024-02-01', endDate: '2024-02-03', label: '', type: 'n/a' }]);
+
+  assert.deepEqual(actions(report, 'Row 3'), ['rejected ']);
+  assert.equal(data.quorum, 0);
+});
+
+test('missing and repeated ids are replaced', () => {
+  const { data, report } = readSaveData({ version: SAVE_FORMAT_VERSION, people: [
+    { id: 'p-1', username: 'Eve', timezone: 'UTC' },
+    { id: 'p-1', username: 'Fay', timezone: 'UTC' },
+    { username: 'Gil', timezone: 'UTC' }
+  ], selectedPeopleFilter: [['p-1', 'required'], ['p-gone', 'required']] }, options);
+  const ids = data.people.map(person => person.id);
+  assert.equal(ids[0], 'p-1');
+  assert.equal(new Set(ids).size, 3);
+  assert.deepEqual(actions(report, 'Fay'), ['repaired id', 'defaulted availability']);
+  assert.deepEqual(actions(report, 'Gil'), ['repaired id', 'defaulted availability']);
+  assert.deepEqual(data.selectedPeopleFilter, [['p-1', 'required']]);
+});
+
+test('the two embed spots become dashboard widgets and broken widgets are repaired', () => {
+  const { data } = readSaveData({ version: 3, people: [], embeds: { left: '<iframe src="https://discord.com/widget"></iframe>' } }, options);
+  assert.deepEqual(data.embeds, [
+    { title: '', code: '<iframe src="https://discord.com/widget"></iframe>', columns: 2, rows: 2 },
+    { title: '', code: '', columns: 4, rows: 2 }
+  ]);
+  assert.equal(readSaveData({ people: [] }, options).data.embeds.length, 2); // Old files show the old layout
+
+  const { data: repaired, report } = readSaveData({ version: SAVE_FORMAT_VERSION, people: [],
+    embeds: [{ title: 'Big', columns: 9, rows: 1.5 }, 'junk', { code: '' }] }, options);
+  assert.deepEqual(repaired.embeds, [{ title: 'Big', code: '', columns: 2, rows: 2 }, { title: '', code: '', columns: 2, rows: 2 }]);
+  assert.deepEqual(report.map(entry => entry.message), [
+    'widget 1: columns "9" is not 1 to 6, set to 2', 'widget 1: rows "1.5" is not 1 to 4, set to 2', 'widget 2: not a widget, left out'
+  ]);
+});
+
+test('files without a roster are refused', () => {
+  assert.throws(() => readSaveData('text', options), SaveFormatError);
+  assert.throws(() => readSaveData({ people: 3 }, options), SaveFormatError);
+  assert.throws(() => readSaveData({ version: 'two', people: [] }, options), SaveFormatError);
+});
+
+test('a corrupt stored workspace falls back to its newest readable snapshot', () => {
+  const snapshots = [
+    { savedAt: '2024-01-02T10:00:00.000Z', data: { version: SAVE_FORMAT_VERSION, people: null } },
+    { savedAt: '2024-01-01T10:00:00.000Z', data: { version: SAVE_FORMAT_VERSION, people: [{ id: 'p1', username: 'Ada', timezone: 'UTC' }] } }
+  ];
+  [{}, 5, { version: SAVE_FORMAT_VERSION, people: null }].forEach(corrupt => {
+    const { data, restoredSnapshot } = readWorkspaceSave(corrupt, snapshots, options);
+    assert.equal(restoredSnapshot, snapshots[1]);
+    assert.deepEqual(data.people.map(person => person.username), ['Ada']);
+  });
+  assert.equal(readWorkspaceSave({ people: [] }, snapshots, options).restoredSnapshot, null);
+  assert.throws(() => readWorkspaceSave({}, snapshots.slice(0, 1), options), SaveFormatError);
+});
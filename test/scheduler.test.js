@@ -0,0 +1,203 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  processAvailability,
+  isPersonAvailableAtLocalTime,
+  isPersonAvailableAt,
+  calculateTimeUntilNextAvailability,
+  getZoneOffsetMinutes,
+  getZoneLocalTime,
+  getZoneWallClockUtc,
+  getPersonAttendanceAtLocalTime,
+  buildAvailabilityTimeline,
+  scoreMinute,
+  findContiguousTimeRange,
+  getOrderedAvailabilityRanges,
+  generateHourlyTimeSlots,
+  explainQuorumFailure
+} from '../scheduler.js';
+
+// Monday 1 January 2024, 00:00 UTC
+const MONDAY = Date.UTC(2024, 0, 1);
+const SATURDAY = Date.UTC(2024, 0, 6);
+
+const specific = (...ranges) => ({ type: 'specific', value: ranges[0], ranges });
+const person = (username, availabilityRules, extra = {}) => ({
+  id: username, username, timezone: 'UTC', availabilityRules, exceptions: [], ...extra
+});
+
+test('ranges crossing midnight cover both sides of it', () => {
+  assert.equal(processAvailability(23 * 60 + 30, 'specific', '23:00-02:00').isAvailable, true);
+  assert.equal(processAvailability(60, 'specific', '23:00-02:00').isAvailable, true);
+  assert.equal(processAvailability(2 * 60, 'specific', '23:00-02:00').isAvailable, false);
+  assert.equal(processAvailability(22 * 60, 'specific', '23:00-02:00').statusText, ' Available in 1h');
+  assert.equal(processAvailability(23 * 60, 'specific', '23:00-02:00').statusText, ' Available for 3h');
+});
+
+test('time until next availability wraps to the next day', () => {
+  assert.equal(calculateTimeUntilNextAvailability(10 * 60, '09:00-17:00'), '23h');
+  assert.equal(calculateTimeUntilNextAvailability(8 * 60 + 30, ['13:00-14:00', '09:00-10:00']), '30m');
+  assert.equal(calculateTimeUntilNextAvailability(0, 'garbage'), null);
+});
+
+test('weekend/weekday rules follow the local day of the week', () => {
+  const rules = { type: 'weekendWeekdays', weekdays: specific('18:00-22:00'), weekends: { type: 'always' } };
+  const p = person('Ana', rules);
+  assert.equal(isPersonAvailableAtLocalTime(p, 10 * 60, 1), false);
+  assert.equal(isPersonAvailableAtLocalTime(p, 19 * 60, 5), true);
+  assert.equal(isPersonAvailableAtLocalTime(p, 10 * 60, 6), true);
+  assert.equal(isPersonAvailableAtLocalTime(p, 3 * 60, 7), true);
+});
+
+test('customDays rules only apply on their own day', () => {
+  const dailyRanges = [specific('09:00-12:00'), null, null, null, null, null, { type: 'n/a' }];
+  const p = person('Ben', { type: 'customDays', dailyRanges });
+  assert.equal(isPersonAvailableAtLocalTime(p, 10 * 60, 1), true);
+  assert.equal(isPersonAvailableAtLocalTime(p, 10 * 60, 2), false);
+  assert.equal(isPersonAvailableAtLocalTime(p, 10 * 60, 7), false);
+});
+
+test('dated exceptions override the weekly rule, the last one listed winning', () => {
+  const exceptions = [
+    { startDate: '2024-01-01', endDate: '2024-01-07', type: 'n/a', label: 'Trip' },
+    { startDate: '2024-01-03', type: 'specific', value: '20:00-21:00', ranges: ['20:00-21:00'] }
+  ];
+  const p = person('Cleo', { type: 'always' }, { exceptions });
+  assert.equal(isPersonAvailableAtLocalTime(p, 10 * 60, 1, '2024-01-01'), false);
+  assert.equal(isPersonAvailableAtLocalTime(p, 20 * 60, 3, '2024-01-03'), true);
+  assert.equal(isPersonAvailableAtLocalTime(p, 10 * 60, 1, '2024-01-08'), true);
+});
+
+test('zone offsets come from Intl for regions and from the name for fixed offsets', () => {
+  assert.equal(getZoneOffsetMinutes('UTC+5:30', MONDAY), 330);
+  assert.equal(getZoneOffsetMinutes('UTC-3', MONDAY), -180);
+  assert.equal(getZoneOffsetMinutes('UTC', MONDAY), 0);
+  assert.equal(getZoneOffsetMinutes('America/New_York', MONDAY), -300);
+  assert.equal(getZoneOffsetMinutes('America/New_York', Date.UTC(2024, 6, 1)), -240);
+  assert.equal(getZoneOffsetMinutes('Not/AZone', MONDAY), 0);
+  assert.deepEqual(getZoneLocalTime('Asia/Tokyo', MONDAY + 20 * 3600000), { minutes: 5 * 60, weekday: 2, isoDate: '2024-01-02' });
+});
+
+test('wall-clock times map to UTC across daylight-saving changes', () => {
+  // Hourly heatmap cells on the days Berlin changes clocks stay on their hour and inside the day
+  const cellHours = (isoDate) => Array.from({ length: 24 }, (_, hour) => {
+    const local = getZoneLocalTime('Europe/Berlin', getZoneWallClockUtc('Europe/Berlin', isoDate, hour * 60));
+    return local.isoDate === isoDate ? local.minutes / 60 : `${local.isoDate} ${local.minutes / 60}`;
+  });
+  const hours = Array.from({ length: 24 }, (_, hour) => hour);
+  assert.deepEqual(cellHours('2024-03-31'), hours.map(hour => (hour === 2 ? 3 : hour))); // 02:00 doesn't exist
+  assert.deepEqual(cellHours('2024-10-27'), hours);
+  assert.equal(getZoneWallClockUtc('Europe/Berlin', '2024-10-27', 150), Date.UTC(2024, 9, 27, 0, 30)); // First 02:30
+  assert.equal(getZoneWallClockUtc('Europe/Berlin', '2024-03-31', 150), Date.UTC(2024, 2, 31, 1, 30)); // 03:30
+  assert.equal(getZoneWallClockUtc('UTC+5:30', '2024-01-01', 0), Date.UTC(2023, 11, 31, 18, 30));
+});
+
+test('people are checked in their own zone', () => {
+  const p = person('Dev', specific('09:00-17:00'), { timezone: 'Asia/Tokyo' });
+  assert.equal(isPersonAvailableAt(p, MONDAY + 60 * 60000), true); // 10:00 in Tokyo
+  assert.equal(isPersonAvailableAt(p, MONDAY + 10 * 3600000), false); // 19:00 in Tokyo
+});
+
+test('the best window stays contiguous across midnight', () => {
+  const people = [person('Eve', specific('22:00-02:00')), person('Finn', specific('23:00-03:00'))];
+  const result = findContiguousTimeRange(people, true, new Map(), MONDAY, 1440);
+  assert.equal(result.count, 2);
+  assert.deepEqual([result.range.startMinute, result.rangeLengthMinutes], [1380, 180]);
+
+  // The run at the end of the span continues into the next day, beating the shorter one after midnight
+  const late = findContiguousTimeRange([person('Gus', specific('23:00-01:00'))], true, new Map(), MONDAY, 1440);
+  assert.deepEqual([late.range.startMinute, late.range.endMinute, late.rangeLengthMinutes], [1380, 1499, 120]);
+  const [ordered] = getOrderedAvailabilityRanges([person('Gus', specific('23:00-01:00'))], new Map(), MONDAY, 1440);
+  assert.deepEqual([ordered.startMinute, ordered.endMinute], [1380, 1499]);
+});
+
+test('ordered ranges rank by attendance and report guaranteed and expected counts', () => {
+  const people = [
+    person('Hal', specific('09:00-17:00')),
+    person('Ivy', { type: 'mostlyFree', value: '12:00-14:00', ranges: ['12:00-14:00'] })
+  ];
+  const [best, second] = getOrderedAvailabilityRanges(people, new Map(), MONDAY, 1440);
+  assert.deepEqual([best.startMinute, best.endMinute, best.count, best.guaranteedCount, best.expectedAttendance], [720, 839, 2, 1, 1.8]);
+  assert.deepEqual([second.startMinute, second.count], [540, 1]);
+});
+
+test('preferred hours pick the window for a head-count without adding windows', () => {
+  const people = [
+    person('Ann', { ...specific('09:00-17:00'), preferredRanges: ['10:00-11:00'] }),
+    person('Ben', { ...specific('09:00-17:00'), preferredRanges: ['14:00-16:00'] })
+  ];
+  const ranges = getOrderedAvailabilityRanges(people, new Map(), MONDAY, 1440);
+  assert.equal(ranges.length, 2); // Everyone in, then no one in
+  assert.deepEqual([ranges[0].startMinute, ranges[0].endMinute, ranges[0].count, ranges[0].preferredCount], [840, 959, 2, 1]);
+  assert.equal(ranges[1].count, 0);
+});
+
+test('filters make people required or leave them out', () => {
+  const people = [
+    person('Jo', specific('09:00-12:00')),
+    person('Kai', specific('10:00-11:00')),
+    person('Lu', specific('14:00-15:00'))
+  ];
+  const excluded = new Map([['Kai', 'excluded']]);
+  const [best] = getOrderedAvailabilityRanges(people, excluded, MONDAY, 1440);
+  assert.deepEqual([best.startMinute, best.endMinute, best.count], [540, 719, 1]);
+
+  const required = new Map([['Lu', 'required']]);
+  const [first] = getOrderedAvailabilityRanges(people, required, MONDAY, 1440);
+  assert.deepEqual([first.startMinute, first.requiredCount], [840, 1]);
+
+  const options = { quorumSize: 2 };
+  assert.deepEqual(getOrderedAvailabilityRanges(people, required, MONDAY, 1440, 1, options), []);
+  assert.match(explainQuorumFailure(people, required, MONDAY, 1440, 1, options).message, /quorum of 2/);
+});
+
+test('people with an unset timezone are left out', () => {
+  const people = [person('Mo', specific('09:00-10:00')), person('Ned', { type: 'always' }, { timezoneUnset: true })];
+  const [best] = getOrderedAvailabilityRanges(people, new Map(), MONDAY, 1440);
+  assert.deepEqual([best.startMinute, best.count], [540, 1]);
+  assert.equal(findContiguousTimeRange([people[1]], true, new Map(), MONDAY).count, 0);
+});
+
+test('hourly slots use weekend rules on weekend days and respect meeting length', () => {
+  const rules = { type: 'weekendWeekdays', weekdays: { type: 'n/a' }, weekends: specific('10:00-12:30') };
+  const people = [person('Oli', rules)];
+  assert.deepEqual(generateHourlyTimeSlots(people, new Map(), MONDAY, 1440).filter(slot => slot.count > 0), []);
+
+  const weekend = generateHourlyTimeSlots(people, new Map(), SATURDAY, 1440).filter(slot => slot.count > 0);
+  assert.deepEqual(weekend.map(slot => slot.startMinute), [600, 660, 720]);
+
+  const meetings = generateHourlyTimeSlots(people, new Map(), SATURDAY, 1440, 90).filter(slot => slot.count > 0);
+  assert.deepEqual(meetings.map(slot => [slot.startMinute, slot.rangeLengthMinutes]), [[600, 90], [660, 90]]);
+});
+
+test('interval timelines match evaluating every minute, across a DST change', () => {
+  const dstStart = Date.UTC(2024, 2, 9); // New York moves to UTC-4 early on 10 March
+  const p = person('Pia', {
+    type: 'weekendWeekdays',
+    weekdays: specific('08:30-12:00', '22:00-01:30'),
+    weekends: { type: 'mostlyFree', value: '01:00-03:30', ranges: ['01:00-03:30', '18:00-23:00'], preferredRanges: ['', '19:00-20:00'] }
+  }, { timezone: 'America/New_York', exceptions: [{ startDate: '2024-03-11', type: 'n/a' }] });
+  const { confidence, preferred } = buildAvailabilityTimeline(p, dstStart, 3 * 1440);
+  for (let minute = 0; minute < 3 * 1440; minute++) {
+    const { minutes, weekday, isoDate } = getZoneLocalTime(p.timezone, dstStart + minute * 60000);
+    const attendance = getPersonAttendanceAtLocalTime(p, minutes, weekday, isoDate);
+    assert.equal(confidence[minute], Math.round(attendance.confidence * 100), `confidence at minute ${minute}`);
+    assert.equal(preferred[minute], attendance.isPreferred ? 1 : 0, `preferred at minute ${minute}`);
+  }
+});
+
+test('hourly slots from the interval sweep score like single minutes', () => {
+  const people = [
+    person('Quinn', specific('07:00-15:00'), { timezone: 'Europe/London' }),
+    person('Rae', { type: 'unpredictable', value: '20:00-04:00', ranges: ['20:00-04:00'] }, { timezone: 'UTC+5:30' }),
+    person('Sol', { type: 'always' }, { timezone: 'America/New_York' })
+  ];
+  const filter = new Map([['Rae', 'required']]);
+  const base = Date.UTC(2024, 9, 26);
+  const slots = generateHourlyTimeSlots(people, filter, base, 2 * 1440);
+  assert.equal(slots.length, 48);
+  slots.forEach(slot => {
+    const single = scoreMinute(people, filter, base + slot.startMinute * 60000);
+    assert.deepEqual([slot.count, slot.guaranteedCount], [single.count, single.guaranteedCount]);
+  });
+});
@@ -0,0 +1,37 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SHARE_FRAGMENT_PREFIX, buildSharedRoster, encodeShareFragment, decodeShareFragment } from '../share-link.js';
+
+const saved = {
+  version: 2,
+  people: [
+    { username: 'Sam', note: 'back on Friday', iconSrc: 'data:image/png;base64,AAAA', timezone: 'America/New_York', availableTimes: { type: 'always' } },
+    { username: '  ', timezone: 'UTC', availableTimes: { type: 'always' } }
+  ],
+  embeds: { left: '<iframe></iframe>', right: '' },
+  selectedPeopleFilter: [['Sam', 'required']],
+  quorum: 2,
+  selectedGroup: ''
+};
+
+test('shared rosters leave out embeds, blank rows and, unless asked, icons and notes', () => {
+  const roster = buildSharedRoster(saved);
+  assert.deepEqual(Object.keys(roster), ['version', 'people', 'selectedPeopleFilter', 'quorum', 'selectedGroup']);
+  assert.deepEqual(roster.people, [{ username: 'Sam', timezone: 'America/New_York', availableTimes: { type: 'always' } }]);
+  assert.equal(buildSharedRoster(saved, { includeIconsAndNotes: true }).people[0].note, 'back on Friday');
+});
+
+test('share fragments are compressed and decode back to the roster', async () => {
+  const roster = buildSharedRoster({ ...saved, people: Array.from({ length: 30 }, () => saved.people[0]) });
+  const fragment = await encodeShareFragment(roster);
+  assert.ok(fragment.startsWith(`${SHARE_FRAGMENT_PREFIX}z`));
+  assert.match(fragment.slice(SHARE_FRAGMENT_PREFIX.length), /^[A-Za-z0-9_-]+$/); // Safe in a URL as is
+  assert.ok(fragment.length < JSON.stringify(roster).length / 4);
+  assert.deepEqual(await decodeShareFragment(fragment), roster);
+});
+
+test('cut-off or foreign fragments are refused', async () => {
+  const fragment = await encodeShareFragment(buildSharedRoster(saved));
+  await assert.rejects(decodeShareFragment(fragment.slice(0, -10)));
+  await assert.rejects(decodeShareFragment('#section-2'));
+});